@@ -8,54 +8,224 @@
 (function(global) {
     'use strict';
 
+    const Core = global.czSignatureCore || (typeof require === 'function' ? require('./czSignatureCore.js') : null);
+    if (!Core) {
+        throw new Error('czSignature requires czSignatureCore.js to be loaded first.');
+    }
+
+    // Messages that arrive after a gap are buffered; this many pending messages trigger a resync request.
+    const REMOTE_GAP_LIMIT = 32;
+    const REMOTE_BUFFER_LIMIT = 1024;
+    // A resync request that is not answered (e.g. the snapshot was lost) is repeated after this many ms.
+    const REMOTE_RESYNC_INTERVAL = 1000;
+
+    // Normalizes a BroadcastChannel (structured clone) and a WebSocket (JSON text) into send/listen.
+    const createTransportLink = (transport) => {
+        const isSocket = typeof transport.send === 'function';
+        return {
+            send: (message) => {
+                if (!isSocket) {
+                    transport.postMessage(message);
+                } else if (transport.readyState === 1) {
+                    transport.send(JSON.stringify(message));
+                }
+            },
+            listen: (handler) => {
+                const listener = (event) => {
+                    let message = event.data;
+                    if (typeof message === 'string') {
+                        try {
+                            message = JSON.parse(message);
+                        } catch (error) {
+                            return;
+                        }
+                    }
+                    if (message && typeof message === 'object') handler(message);
+                };
+                transport.addEventListener('message', listener);
+                return () => transport.removeEventListener('message', listener);
+            },
+            whenOpen: (callback) => {
+                if (isSocket && transport.readyState === 0) {
+                    transport.addEventListener('open', callback, { once: true });
+                } else {
+                    callback();
+                }
+            },
+        };
+    };
+
     class czSignature {
         _options = {
             penColor: '#000000',
             backgroundColor: '#ffffff',
             minWidth: 0.5,
             maxWidth: 2.5,
+            brush: 'fountain',
+            nibAngle: 45,
             velocityFilterWeight: 0.7,
             dotSize: 2.0,
             minDistance: 0.8,
             smoothingRatio: 0.5,
             smoothingFadePoints: 4,
             smoothingMode: 'post',
+            predictedInk: false,
             pressureSupport: false,
             dpi: 300,
             trimOutput: false,
             trimPadding: 16,
             outputPenColor: null,
             outputBackgroundColor: null,
+            outputQuality: 0.92,
+            includeGuide: false,
+            guide: null,
+            historyLimit: 100,
+            pointerTypes: ['mouse', 'pen', 'touch'],
+            palmRejection: true,
+            palmRejectionTimeout: 500,
+            tool: 'pen',
+            readOnly: false,
+            eraserSize: 12,
+            resizeMode: 'scale',
+            acceptanceRules: {
+                minStrokes: null,
+                minPathLength: null,
+                minBoundingWidth: null,
+                minBoundingHeight: null,
+                minDuration: null,
+                maxDuration: null,
+                maxSinglePointStrokes: null,
+            },
         };
 
         #isDrawing = false;
+        #pointer = null;
+        #lastPenActivity = -Infinity;
+        #erasing = null;
         #currentStroke = [];
+        #liveFiltered = [];
+        #predicted = [];
+        #layer = null;
+        #guide = null;
         #allStrokes = [];
+        #undoStack = [];
+        #redoStack = [];
         #drawing = false;
+        #replay = null;
+        #lastValidity = null;
         #listeners = {};
         #resizeTimeout;
+        #stream = { session: Core.createStrokeId(), seq: 0 };
+        #liveId = null;
+        #remote = null;
+        #strokeOrigins = new WeakMap();
+        #resizeObserver = null;
+        #pixelRatio = 1;
+        #pixelRatioQuery = null;
+
+        static version = Core.VERSION;
+
+        static verifyPackage(input, key) {
+            return Core.verifySignedPackage(input, key);
+        }
+
+        /**
+         * Streams the live events of `pad` to a BroadcastChannel or WebSocket and answers resync requests
+         * from mirrors with a snapshot. Returns a function that disconnects the pad again.
+         */
+        static connectSender(pad, transport) {
+            const link = createTransportLink(transport);
+            const forward = (message) => link.send(message);
+            pad.on('pointAdded', forward);
+            pad.on('strokeUpdate', forward);
+            const stopListening = link.listen((message) => {
+                if (message.type === 'resync') link.send(pad.getSnapshot());
+            });
+            link.whenOpen(() => link.send(pad.getSnapshot()));
+            return () => {
+                pad.off('pointAdded', forward);
+                pad.off('strokeUpdate', forward);
+                stopListening();
+            };
+        }
+
+        /**
+         * Applies the messages a sender streams over `transport` to `pad`, which should be read-only,
+         * and requests a snapshot whenever it has to resync. Returns a function that disconnects it.
+         */
+        static connectMirror(pad, transport) {
+            const link = createTransportLink(transport);
+            const requestResync = () => link.send({ type: 'resync' });
+            pad.on('resyncNeeded', requestResync);
+            const stopListening = link.listen((message) => {
+                if (message.type !== 'resync') pad.applyRemoteEvents(message);
+            });
+            link.whenOpen(requestResync);
+            return () => {
+                pad.off('resyncNeeded', requestResync);
+                stopListening();
+            };
+        }
+
+        static compare(dataA, dataB, opts = {}) {
+            return Core.compare(Core.parseData(dataA).strokes, Core.parseData(dataB).strokes, opts);
+        }
 
         constructor(canvas, options = {}) {
             this.canvas = canvas;
             this.ctx = this.canvas.getContext('2d');
             this.options = { ...this._options, ...options };
+            this.options.acceptanceRules = { ...this._options.acceptanceRules, ...options.acceptanceRules };
             this.#init();
         }
 
         clear() {
             this.#resetState();
+            if (!this.isEmpty()) this.#commit('clear', []);
             this.#redrawCanvas();
             this.#emit('clear');
         }
 
         undo() {
-            if (this.#allStrokes.length > 0) {
-                this.#allStrokes.pop();
-                this.#redrawCanvas();
-                this.#emit('undo', { strokesLeft: this.#allStrokes.length });
-                return true;
-            }
-            return false;
+            if (!this.canUndo()) return false;
+            this.stopReplay();
+            const entry = this.#undoStack.pop();
+            this.#redoStack.push(entry);
+            this.#allStrokes = entry.before;
+            this.#redrawCanvas();
+            this.#emit('undo', { strokesLeft: this.#allStrokes.length, action: entry.action });
+            this.#emitSnapshot();
+            this.#emitHistoryChange();
+            this.#checkValidity();
+            return true;
+        }
+
+        redo() {
+            if (!this.canRedo()) return false;
+            this.stopReplay();
+            const entry = this.#redoStack.pop();
+            this.#undoStack.push(entry);
+            this.#allStrokes = entry.after;
+            this.#redrawCanvas();
+            this.#emit('redo', { strokeCount: this.#allStrokes.length, action: entry.action });
+            this.#emitSnapshot();
+            this.#emitHistoryChange();
+            this.#checkValidity();
+            return true;
+        }
+
+        canUndo() {
+            return this.#undoStack.length > 0;
+        }
+
+        canRedo() {
+            return this.#redoStack.length > 0;
+        }
+
+        clearHistory() {
+            this.#undoStack = [];
+            this.#redoStack = [];
+            this.#emitHistoryChange();
         }
 
         isEmpty() {
@@ -63,99 +233,216 @@
         }
 
         updateOptions(newOptions) {
-            this.options = { ...this.options, ...newOptions };
+            const acceptanceRules = { ...this.options.acceptanceRules, ...newOptions.acceptanceRules };
+            const guide = newOptions.guide === undefined ? this.options.guide
+                : newOptions.guide && { ...this.options.guide, ...newOptions.guide };
+            this.options = { ...this.options, ...newOptions, acceptanceRules, guide };
+            if (this.options.readOnly) this.#cancelGesture('readOnly');
+            this.#invalidateLayer();
+            this.#guide.valid = false;
             this.#redrawCanvas();
+            this.#checkValidity();
         }
 
-        toData() {
-            return this.#allStrokes.map(stroke => ({ ...stroke, points: [...stroke.points] }));
+        validate() {
+            return Core.validateStrokes(this.#allStrokes, this.options.acceptanceRules, {
+                width: this.canvasWidth,
+                height: this.canvasHeight,
+            });
         }
 
-        fromData(data) {
-            if (!Array.isArray(data)) {
-                console.error("Data to load must be an array.");
-                return;
+        toData(opts = {}) {
+            const envelope = Core.createEnvelope(this.#allStrokes, {
+                width: this.canvasWidth,
+                height: this.canvasHeight,
+                devicePixelRatio: window.devicePixelRatio || 1,
+            });
+            return opts.compact ? Core.encodeCompact(envelope, opts) : envelope;
+        }
+
+        fromData(data, opts = {}) {
+            const { fit = true } = opts;
+            const envelope = Core.parseData(data);
+            let strokes = envelope.strokes;
+            const sizeChanged = envelope.width !== this.canvasWidth || envelope.height !== this.canvasHeight;
+            // A pad that is still hidden measures 0x0; fitting to that would collapse every point.
+            const hasArea = this.canvasWidth > 0 && this.canvasHeight > 0;
+            if (fit && envelope.width && envelope.height && hasArea && sizeChanged) {
+                strokes = Core.fitStrokes(strokes, envelope, { width: this.canvasWidth, height: this.canvasHeight });
+            } else if (fit && envelope.width && envelope.height && !hasArea) {
+                this.#rememberOrigins(strokes, envelope);
             }
-            this.clear();
-            this.#allStrokes = data.map(stroke => ({ ...stroke, points: [...stroke.points] }));
+            this.#resetState();
+            this.#commit('load', strokes);
+            this.#redrawCanvas();
+            this.#emit('load', { strokeCount: this.#allStrokes.length, version: envelope.version });
+        }
+
+        toISO19794(opts = {}) {
+            if (this.isEmpty()) return null;
+            return Core.encodeISO19794(this.toData(), opts);
+        }
+
+        fromISO19794(bytes, opts = {}) {
+            this.fromData(Core.decodeISO19794(bytes, this.options), opts);
+        }
+
+        toSignedPackage({ documentHash, signerInfo = null, key } = {}) {
+            if (this.isEmpty()) return Promise.resolve(null);
+            return Core.createSignedPackage(this.toData(), { documentHash, signerInfo, key });
+        }
+
+        getFeatures(opts = {}) {
+            return Core.extractFeatures(this.#allStrokes, opts);
+        }
+
+        getStrokes() {
+            return this.#allStrokes.map(this.#copyStroke);
+        }
+
+        getStroke(idOrIndex) {
+            const index = this.#strokeIndex(idOrIndex);
+            return index === -1 ? null : this.#copyStroke(this.#allStrokes[index]);
+        }
+
+        getStrokeAt(x, y, tolerance = 0) {
+            const index = Core.findStrokeAt(this.#allStrokes, x, y, tolerance, this.options);
+            return index === -1 ? null : { ...this.#copyStroke(this.#allStrokes[index]), index };
+        }
+
+        removeStroke(idOrIndex) {
+            const index = this.#strokeIndex(idOrIndex);
+            if (index === -1) return false;
+            const stroke = this.#allStrokes[index];
+            this.#commit('remove', this.#allStrokes.filter((_, i) => i !== index));
+            this.#redrawCanvas();
+            this.#emit('strokeRemove', { stroke: this.#copyStroke(stroke), index, source: 'api' });
+            return true;
+        }
+
+        recolorStroke(idOrIndex, color) {
+            if (!Core.isSafeColor(color)) {
+                throw new TypeError(`Invalid stroke color: ${color}`);
+            }
+            const index = this.#strokeIndex(idOrIndex);
+            if (index === -1) return false;
+            const previousColor = this.#allStrokes[index].color;
+            const stroke = { ...this.#allStrokes[index], color };
+            const origin = this.#strokeOrigins.get(this.#allStrokes[index]);
+            if (origin) this.#strokeOrigins.set(stroke, { stroke: { ...origin.stroke, color }, surface: origin.surface });
+            this.#commit('recolor', this.#allStrokes.map((existing, i) => i === index ? stroke : existing));
             this.#redrawCanvas();
-            this.#emit('load', { strokeCount: this.#allStrokes.length });
+            this.#emit('strokeRecolor', { stroke: this.#copyStroke(stroke), index, color, previousColor });
+            return true;
         }
 
-        toSVG() {
-            const { trimOutput, trimPadding, outputBackgroundColor, outputPenColor } = this.options;
+        toSVG(opts = {}) {
             if (this.isEmpty()) return '';
-            let bbox = { minX: 0, minY: 0, width: this.canvasWidth, height: this.canvasHeight };
-            if (trimOutput) {
-                bbox = this.#calculateBoundingBox();
-                if (!bbox) return '';
-            }
-            const svgWidth = trimOutput ? bbox.width + trimPadding * 2 : this.canvasWidth;
-            const svgHeight = trimOutput ? bbox.height + trimPadding * 2 : this.canvasHeight;
-            const viewBoxX = trimOutput ? bbox.minX - trimPadding : 0;
-            const viewBoxY = trimOutput ? bbox.minY - trimPadding : 0;
-            const viewBox = `${viewBoxX} ${viewBoxY} ${svgWidth} ${svgHeight}`;
-            let svgContent = `<svg xmlns="http://www.w3.org/2000/svg" width="${svgWidth}" height="${svgHeight}" viewBox="${viewBox}">\n`;
-            const finalBgColor = outputBackgroundColor ?? this.options.backgroundColor;
-            if (finalBgColor !== 'transparent') {
-                svgContent += `  <rect x="${viewBoxX}" y="${viewBoxY}" width="${svgWidth}" height="${svgHeight}" fill="${finalBgColor}"/>\n`;
-            }
-            svgContent += '  <g fill-rule="nonzero">\n';
-            this.#allStrokes.forEach((stroke) => {
-                const { points, color, minWidth, maxWidth } = stroke;
-                if (points.length === 0) return;
-                const finalPenColor = outputPenColor ?? color;
-                const widths = this.#calculateWidths(points, minWidth, maxWidth);
-                const pathData = this.#generateSmoothSvgPathData(points, widths);
-                if (pathData) {
-                    svgContent += `    <path d="${pathData}" fill="${finalPenColor}" stroke="none"/>\n`;
-                }
+            return Core.toSVG(this.#allStrokes, this.#exportOptions(opts));
+        }
+
+        toCanvas(opts = {}) {
+            if (this.isEmpty()) return null;
+            return Core.renderCanvas(this.#allStrokes, this.#exportOptions(opts), (width, height) => {
+                const tempCanvas = document.createElement('canvas');
+                tempCanvas.width = width;
+                tempCanvas.height = height;
+                return tempCanvas;
             });
-            svgContent += '  </g>\n</svg>';
-            return svgContent.trim();
-        }
-
-        toDataURL(format = 'image/png') {
-            const { dpi, trimOutput, trimPadding, outputBackgroundColor, outputPenColor } = this.options;
-            if (this.isEmpty()) return "data:,";
-            const mimeType = format.toLowerCase();
-            const quality = mimeType === 'image/jpeg' ? 0.92 : 1.0;
-            const scale = dpi / 96;
-            const tempCanvas = document.createElement('canvas');
-            const tempCtx = tempCanvas.getContext('2d');
-            let targetWidth = this.canvasWidth;
-            let targetHeight = this.canvasHeight;
-            let translateX = 0;
-            let translateY = 0;
-            if (trimOutput) {
-                const bbox = this.#calculateBoundingBox();
-                if (!bbox) return "data:,";
-                targetWidth = bbox.width + trimPadding * 2;
-                targetHeight = bbox.height + trimPadding * 2;
-                translateX = -bbox.minX + trimPadding;
-                translateY = -bbox.minY + trimPadding;
-            }
-            tempCanvas.width = targetWidth * scale;
-            tempCanvas.height = targetHeight * scale;
-            tempCtx.scale(scale, scale);
-            const finalBgColor = outputBackgroundColor ?? this.options.backgroundColor;
-            if (finalBgColor !== 'transparent') {
-                tempCtx.fillStyle = finalBgColor;
-                tempCtx.fillRect(0, 0, targetWidth, targetHeight);
-            }
-            tempCtx.translate(translateX, translateY);
-            tempCtx.lineCap = 'round';
-            tempCtx.lineJoin = 'round';
-            this.#allStrokes.forEach((stroke) => {
-                const finalPenColor = outputPenColor ?? stroke.color;
-                this.#drawStroke(tempCtx, stroke.points, finalPenColor, stroke.minWidth, stroke.maxWidth);
+        }
+
+        toDataURL(format = 'image/png', opts = {}) {
+            const tempCanvas = this.toCanvas(opts);
+            if (!tempCanvas) return "data:,";
+            const { outputQuality } = this.#exportOptions(opts);
+            return tempCanvas.toDataURL(format.toLowerCase(), outputQuality);
+        }
+
+        toBlob(format = 'image/png', opts = {}) {
+            const tempCanvas = this.toCanvas(opts);
+            if (!tempCanvas) return Promise.resolve(null);
+            const { outputQuality } = this.#exportOptions(opts);
+            return new Promise((resolve, reject) => {
+                tempCanvas.toBlob((blob) => {
+                    if (blob) resolve(blob);
+                    else reject(new Error(`Could not export signature as ${format}.`));
+                }, format.toLowerCase(), outputQuality);
             });
-            return tempCanvas.toDataURL(mimeType, quality);
+        }
+
+        toPDF(opts = {}) {
+            if (this.isEmpty()) return null;
+            return Core.toPDF(this.#allStrokes, this.#exportOptions(opts));
+        }
+
+        toPDFContent(opts = {}) {
+            if (this.isEmpty()) return null;
+            return Core.toPDFContent(this.#allStrokes, this.#exportOptions(opts));
+        }
+
+        toAnimatedSVG(opts = {}) {
+            if (this.isEmpty()) return '';
+            return Core.toAnimatedSVG(this.#allStrokes, this.#exportOptions(opts));
+        }
+
+        replay(opts = {}) {
+            const { speed = 1, loop = false } = opts;
+            this.stopReplay();
+            if (this.isEmpty() || this.#isDrawing) return false;
+            const { duration } = Core.getTimeline(this.#allStrokes);
+            this.#replay = { strokes: this.#allStrokes, speed, loop, duration, position: 0, lastFrame: null, frame: null, paused: false };
+            this.#emit('replayStart', { duration, speed, loop });
+            this.#replay.frame = requestAnimationFrame(this.#replayFrame);
+            return true;
+        }
+
+        pauseReplay() {
+            const replay = this.#replay;
+            if (!replay || replay.paused) return false;
+            cancelAnimationFrame(replay.frame);
+            replay.paused = true;
+            replay.lastFrame = null;
+            return true;
+        }
+
+        resumeReplay() {
+            const replay = this.#replay;
+            if (!replay || !replay.paused) return false;
+            replay.paused = false;
+            replay.frame = requestAnimationFrame(this.#replayFrame);
+            return true;
+        }
+
+        seekReplay(position) {
+            const replay = this.#replay;
+            if (!replay) return false;
+            replay.position = Math.max(0, Math.min(position, replay.duration));
+            this.#redrawCanvas();
+            this.#emitReplayProgress();
+            return true;
+        }
+
+        stopReplay() {
+            if (!this.#replay) return false;
+            cancelAnimationFrame(this.#replay.frame);
+            this.#replay = null;
+            this.#redrawCanvas();
+            this.#emit('replayEnd', { completed: false });
+            return true;
+        }
+
+        isReplaying() {
+            return this.#replay !== null;
         }
 
         destroy() {
+            if (this.#replay) cancelAnimationFrame(this.#replay.frame);
+            if (this.#guide.frame !== null) cancelAnimationFrame(this.#guide.frame);
             this.#removeEventListeners();
+            if (this.#resizeTimeout) clearTimeout(this.#resizeTimeout);
+            if (this.#resizeObserver) this.#resizeObserver.disconnect();
             window.removeEventListener('resize', this.boundResize);
+            if (this.#pixelRatioQuery) this.#pixelRatioQuery.removeEventListener('change', this.#onPixelRatioChange);
             this.#emit('destroy');
         }
 
@@ -164,29 +451,311 @@
             this.#listeners[eventName].push(callback);
         }
 
+        off(eventName, callback) {
+            if (!this.#listeners[eventName]) return;
+            this.#listeners[eventName] = this.#listeners[eventName].filter(listener => listener !== callback);
+            if (this.#listeners[eventName].length === 0) delete this.#listeners[eventName];
+        }
+
+        /**
+         * Returns a `strokeUpdate` snapshot message with the committed strokes and the stroke in
+         * progress, for mirrors that join late or have to resync.
+         */
+        getSnapshot() {
+            return { session: this.#stream.session, seq: this.#stream.seq, type: 'snapshot', ...this.#snapshotPayload() };
+        }
+
+        /**
+         * Mirrors another pad from the messages of its `pointAdded`/`strokeUpdate` events. Messages are
+         * applied in sequence order: duplicates are dropped and early ones are held back until the gap is
+         * filled. A `resyncNeeded` event asks the caller to fetch a snapshot when a gap persists or the
+         * sender restarted.
+         */
+        applyRemoteEvents(messages) {
+            (Array.isArray(messages) ? messages : [messages]).forEach(this.#receiveRemote);
+        }
+
         #emit(eventName, data = {}) {
             if (this.#listeners[eventName]) {
                 this.#listeners[eventName].forEach(callback => callback(data));
             }
         }
 
+        // Stream messages are numbered per session, and only when someone listens, so that a mirror
+        // never waits for a message that was not sent.
+        #emitStream = (eventName, type, buildPayload) => {
+            if (!this.#listeners[eventName]) return;
+            this.#stream.seq += 1;
+            this.#emit(eventName, { session: this.#stream.session, seq: this.#stream.seq, type, ...buildPayload() });
+        }
+
+        #emitSnapshot = () => {
+            this.#emitStream('strokeUpdate', 'snapshot', this.#snapshotPayload);
+        }
+
+        #snapshotPayload = () => ({
+            data: this.toData(),
+            live: this.#liveId ? { ...this.#liveStroke(), points: this.#currentStroke.map(point => ({ ...point })) } : null,
+        });
+
+        // Everything a mirror needs to paint the stroke in progress the way this pad does.
+        #liveStroke = () => {
+            const { penColor, minWidth, maxWidth, pressureSupport, velocityFilterWeight, dotSize, minDistance, smoothingRatio, smoothingFadePoints, smoothingMode } = this.options;
+            return {
+                strokeId: this.#liveId,
+                style: { color: penColor, minWidth, maxWidth, pointerType: this.#pointer.type, ...this.#brushStyle() },
+                render: { pressureSupport, velocityFilterWeight, dotSize, minDistance, smoothingRatio, smoothingFadePoints, smoothingMode },
+                surface: { width: this.canvasWidth, height: this.canvasHeight },
+            };
+        }
+
+        #endLiveStream = (type, buildPayload = () => ({})) => {
+            if (!this.#liveId) return;
+            const strokeId = this.#liveId;
+            this.#liveId = null;
+            this.#emitStream('strokeUpdate', type, () => ({ strokeId, ...buildPayload() }));
+        }
+
+        // `seq` is the last message applied from the session, or null until a snapshot gives a baseline.
+        #receiveRemote = (message) => {
+            if (!message || typeof message.session !== 'string' || !Number.isInteger(message.seq)) return;
+            let remote = this.#remote;
+            let joinedMidStream = false;
+            if (!remote || remote.session !== message.session) {
+                // A session that does not start with its first message needs a snapshot. Early messages are
+                // still buffered, in case the first one was only overtaken.
+                joinedMidStream = message.type !== 'snapshot' && message.seq !== 1;
+                const baseline = message.type !== 'snapshot' && message.seq <= REMOTE_GAP_LIMIT ? 0 : null;
+                remote = this.#remote = { session: message.session, seq: baseline, pending: new Map(), live: new Map(), resyncRequested: null };
+            }
+            if (remote.seq !== null && message.seq <= remote.seq) return;
+            if (message.type === 'snapshot') {
+                remote.seq = message.seq;
+                remote.pending.forEach((_, seq) => { if (seq <= message.seq) remote.pending.delete(seq); });
+                remote.resyncRequested = null;
+                this.#applyRemote(message);
+            } else if (!remote.pending.has(message.seq) && remote.pending.size < REMOTE_BUFFER_LIMIT) {
+                remote.pending.set(message.seq, message);
+            }
+            while (remote.seq !== null && remote.pending.has(remote.seq + 1)) {
+                const next = remote.pending.get(remote.seq + 1);
+                remote.pending.delete(next.seq);
+                remote.seq = next.seq;
+                this.#applyRemote(next);
+            }
+            // Caught up without a snapshot, so there is nothing left to ask for.
+            if (remote.seq !== null && remote.pending.size === 0) remote.resyncRequested = null;
+            const stillWaiting = remote.resyncRequested !== null && remote.pending.size > 0;
+            if (joinedMidStream || stillWaiting || remote.seq === null || remote.pending.size > REMOTE_GAP_LIMIT) this.#requestResync();
+            this.#scheduleRedraw();
+        }
+
+        #requestResync = () => {
+            const remote = this.#remote;
+            const now = Date.now();
+            if (remote.resyncRequested !== null && now - remote.resyncRequested < REMOTE_RESYNC_INTERVAL) return;
+            remote.resyncRequested = now;
+            this.#emit('resyncNeeded', { session: remote.session, seq: remote.seq });
+        }
+
+        // A message that fails validation cannot be skipped without losing track of the drawing, so
+        // it is treated like a gap.
+        #applyRemote = (message) => {
+            const { live } = this.#remote;
+            try {
+                switch (message.type) {
+                    case 'start':
+                        live.set(message.strokeId, this.#readRemoteLive({ ...message, points: [message.point] }));
+                        break;
+                    case 'point': {
+                        const entry = live.get(message.strokeId);
+                        if (entry && message.index === entry.stroke.points.length) {
+                            const [point] = this.#parseRemoteStroke({ ...entry.stroke, points: [message.point] }).points;
+                            entry.stroke = { ...entry.stroke, points: [...entry.stroke.points, point] };
+                        }
+                        break;
+                    }
+                    case 'end': {
+                        live.delete(message.strokeId);
+                        const [stroke] = this.#fitRemote([this.#parseRemoteStroke(message.stroke)], this.#readRemoteSurface(message.surface));
+                        this.#setRemoteStrokes([...this.#allStrokes, stroke]);
+                        break;
+                    }
+                    case 'cancel':
+                        live.delete(message.strokeId);
+                        break;
+                    case 'snapshot': {
+                        const envelope = Core.parseData(message.data);
+                        const strokes = envelope.width && envelope.height ? this.#fitRemote(envelope.strokes, envelope) : envelope.strokes;
+                        live.clear();
+                        if (message.live) live.set(message.live.strokeId, this.#readRemoteLive(message.live));
+                        this.#setRemoteStrokes(strokes);
+                        break;
+                    }
+                }
+            } catch (error) {
+                this.#remote.seq = null;
+                this.#requestResync();
+            }
+        }
+
+        #parseRemoteStroke = (stroke) => Core.parseData({ version: 2, strokes: [stroke] }).strokes[0];
+
+        #readRemoteLive = ({ strokeId, style, render = {}, surface, points }) => {
+            const { pressureSupport, velocityFilterWeight, dotSize, minDistance, smoothingRatio, smoothingFadePoints, smoothingMode } = render;
+            const numbers = [velocityFilterWeight, dotSize, minDistance, smoothingRatio, smoothingFadePoints];
+            if (!numbers.every(Number.isFinite)) throw new TypeError('Invalid remote stroke.');
+            return {
+                stroke: this.#parseRemoteStroke({ ...style, id: strokeId, points }),
+                render: { pressureSupport: pressureSupport === true, velocityFilterWeight, dotSize, minDistance, smoothingRatio, smoothingFadePoints, smoothingMode: smoothingMode === 'live' ? 'live' : 'post' },
+                surface: this.#readRemoteSurface(surface),
+            };
+        }
+
+        #readRemoteSurface = (surface) => {
+            const isSize = (value) => Number.isFinite(value) && value > 0;
+            if (!surface || !isSize(surface.width) || !isSize(surface.height)) throw new TypeError('Invalid remote surface.');
+            return { width: surface.width, height: surface.height };
+        }
+
+        #fitRemote = (strokes, surface) => {
+            const to = { width: this.canvasWidth, height: this.canvasHeight };
+            // A hidden mirror has no size to fit to yet; the strokes are fitted once it is shown.
+            if (!(to.width > 0 && to.height > 0)) {
+                this.#rememberOrigins(strokes, surface);
+                return strokes;
+            }
+            if (surface.width === to.width && surface.height === to.height) return strokes;
+            return Core.fitStrokes(strokes, surface, to);
+        }
+
+        // A mirror shows the sender's state, so it keeps no undo history of its own.
+        #setRemoteStrokes = (strokes) => {
+            this.stopReplay();
+            this.#allStrokes = strokes;
+            this.#undoStack = [];
+            this.#redoStack = [];
+            this.#emitHistoryChange();
+            this.#checkValidity();
+        }
+
+        #drawRemoteStroke = ({ stroke, render, surface }) => {
+            const points = render.smoothingMode === 'live' && stroke.points.length > 1
+                ? Core.smoothStroke(Core.filterByDistance(stroke.points, render.minDistance), render)
+                : stroke.points;
+            const [fitted] = this.#fitRemote([{ ...stroke, points }], surface);
+            Core.paintStroke(this.ctx, fitted, fitted.color, { ...this.options, ...render });
+        }
+
+        #exportOptions = (opts) => ({
+            ...this.options,
+            guide: this.#guideOptions(),
+            width: this.canvasWidth,
+            height: this.canvasHeight,
+            ...opts,
+        });
+
         #init() {
             this.#setupCanvas();
             this.#addEventListeners();
             this.#setupResizeHandler();
             this.clear();
+            this.#checkValidity();
         }
 
         #resetState = () => {
+            if (this.#pointer && this.canvas.hasPointerCapture(this.#pointer.id)) {
+                this.canvas.releasePointerCapture(this.#pointer.id);
+            }
+            this.#endLiveStream('cancel');
+            this.#pointer = null;
+            this.#erasing = null;
             this.#isDrawing = false;
             this.#currentStroke = [];
-            this.#allStrokes = [];
+            this.#liveFiltered = [];
+            this.#predicted = [];
             this.#drawing = false;
         }
 
+        // Strokes arrays are never mutated in place, so each history entry can hold plain references
+        // to the state before and after the action.
+        #commit = (action, strokes, before = this.#allStrokes) => {
+            this.stopReplay();
+            this.#undoStack.push({ action, before, after: strokes });
+            const { historyLimit } = this.options;
+            if (historyLimit !== null && this.#undoStack.length > historyLimit) {
+                this.#undoStack.splice(0, this.#undoStack.length - historyLimit);
+            }
+            this.#redoStack = [];
+            this.#allStrokes = strokes;
+            if (action !== 'draw') this.#emitSnapshot();
+            this.#emitHistoryChange();
+            this.#checkValidity();
+        }
+
+        #replayFrame = (timestamp) => {
+            const replay = this.#replay;
+            if (!replay) return;
+            if (replay.lastFrame !== null) {
+                replay.position += (timestamp - replay.lastFrame) * replay.speed;
+            }
+            replay.lastFrame = timestamp;
+            if (replay.position >= replay.duration) {
+                if (!replay.loop) {
+                    replay.position = replay.duration;
+                    this.#emitReplayProgress();
+                    this.#replay = null;
+                    this.#redrawCanvas();
+                    this.#emit('replayEnd', { completed: true });
+                    return;
+                }
+                replay.position = replay.duration > 0 ? replay.position % replay.duration : 0;
+            }
+            this.#redrawCanvas();
+            this.#emitReplayProgress();
+            replay.frame = requestAnimationFrame(this.#replayFrame);
+        }
+
+        #emitReplayProgress = () => {
+            const { position, duration } = this.#replay;
+            this.#emit('replayProgress', { position, duration, progress: duration > 0 ? position / duration : 1 });
+        }
+
+        #checkValidity = () => {
+            const result = this.validate();
+            const key = result.failures.map(failure => failure.rule).join(',');
+            if (this.#lastValidity === null) {
+                this.#lastValidity = key;
+                return;
+            }
+            if (key !== this.#lastValidity) {
+                this.#lastValidity = key;
+                this.#emit('validityChange', result);
+            }
+        }
+
+        #copyStroke = (stroke) => ({ ...stroke, points: stroke.points.map(point => ({ ...point })) });
+
+        #strokeIndex = (idOrIndex) => {
+            if (typeof idOrIndex === 'number') {
+                return Number.isInteger(idOrIndex) && idOrIndex >= 0 && idOrIndex < this.#allStrokes.length ? idOrIndex : -1;
+            }
+            return this.#allStrokes.findIndex(stroke => stroke.id === idOrIndex);
+        }
+
+        #emitHistoryChange = () => {
+            this.#emit('historyChange', {
+                canUndo: this.canUndo(),
+                canRedo: this.canRedo(),
+                undoCount: this.#undoStack.length,
+                redoCount: this.#redoStack.length,
+            });
+        }
+
         #setupCanvas = () => {
             const dpr = window.devicePixelRatio || 1;
             const rect = this.canvas.getBoundingClientRect();
+            this.#pixelRatio = dpr;
             this.canvas.width = rect.width * dpr;
             this.canvas.height = rect.height * dpr;
             this.ctx.scale(dpr, dpr);
@@ -194,6 +763,24 @@
             this.ctx.lineJoin = 'round';
             this.canvasWidth = rect.width;
             this.canvasHeight = rect.height;
+            if (!this.#layer) {
+                const layerCanvas = document.createElement('canvas');
+                this.#layer = { canvas: layerCanvas, ctx: layerCanvas.getContext('2d'), strokes: null };
+            }
+            this.#layer.canvas.width = this.canvas.width;
+            this.#layer.canvas.height = this.canvas.height;
+            this.#layer.ctx.scale(dpr, dpr);
+            this.#layer.ctx.lineCap = 'round';
+            this.#layer.ctx.lineJoin = 'round';
+            if (!this.#guide) {
+                const guideCanvas = document.createElement('canvas');
+                this.#guide = { canvas: guideCanvas, ctx: guideCanvas.getContext('2d'), valid: false, opacity: 1, target: null, frame: null, lastFrame: null, image: null };
+            }
+            this.#guide.canvas.width = this.canvas.width;
+            this.#guide.canvas.height = this.canvas.height;
+            this.#guide.ctx.scale(dpr, dpr);
+            this.#guide.valid = false;
+            this.#invalidateLayer();
             this.#redrawCanvas();
         }
 
@@ -214,57 +801,266 @@
             document.removeEventListener('pointercancel', this.boundStop);
         }
 
+        // Observing the canvas itself also catches container-driven changes (modals, flex layouts)
+        // that never fire a window resize.
         #setupResizeHandler = () => {
             this.boundResize = () => {
                 if (this.#resizeTimeout) clearTimeout(this.#resizeTimeout);
-                this.#resizeTimeout = setTimeout(() => {
-                    this.#setupCanvas();
-                    this.#emit('resize');
-                }, 250);
+                this.#resizeTimeout = setTimeout(this.#handleResize, 250);
             };
-            window.addEventListener('resize', this.boundResize);
+            if (typeof ResizeObserver === 'function') {
+                this.#resizeObserver = new ResizeObserver(this.boundResize);
+                this.#resizeObserver.observe(this.canvas);
+            } else {
+                window.addEventListener('resize', this.boundResize);
+            }
+            this.#watchPixelRatio();
+        }
+
+        // A resolution media query only matches the current ratio, so it is re-created after every change.
+        #watchPixelRatio = () => {
+            if (typeof window.matchMedia !== 'function') return;
+            if (this.#pixelRatioQuery) this.#pixelRatioQuery.removeEventListener('change', this.#onPixelRatioChange);
+            this.#pixelRatioQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+            this.#pixelRatioQuery.addEventListener('change', this.#onPixelRatioChange);
+        }
+
+        #onPixelRatioChange = () => {
+            this.#watchPixelRatio();
+            this.boundResize();
         }
 
-        #getCoordinates = (event) => {
+        #handleResize = () => {
+            this.#resizeTimeout = null;
             const rect = this.canvas.getBoundingClientRect();
+            const dpr = window.devicePixelRatio || 1;
+            // A hidden pad (e.g. inside a closed modal) measures 0x0; keep everything until it is shown again.
+            if (!rect.width || !rect.height) return;
+            const previous = { width: this.canvasWidth, height: this.canvasHeight, devicePixelRatio: this.#pixelRatio };
+            const sizeChanged = rect.width !== previous.width || rect.height !== previous.height;
+            if (!sizeChanged && dpr === previous.devicePixelRatio) return;
+
+            const { resizeMode } = this.options;
+            if (sizeChanged && resizeMode !== 'preserve') {
+                this.stopReplay();
+                this.#cancelGesture('resize');
+            }
+            if (sizeChanged && resizeMode === 'scale') {
+                this.#rescaleHistory(previous, { width: rect.width, height: rect.height });
+            } else if (sizeChanged && resizeMode === 'clear') {
+                this.clear();
+                this.clearHistory();
+            }
+            this.#setupCanvas();
+            if (sizeChanged) this.#emitSnapshot();
+            this.#emit('resize', {
+                width: this.canvasWidth,
+                height: this.canvasHeight,
+                devicePixelRatio: dpr,
+                previousWidth: previous.width,
+                previousHeight: previous.height,
+                previousDevicePixelRatio: previous.devicePixelRatio,
+                resizeMode,
+            });
+            this.#checkValidity();
+        }
+
+        // Fits the current strokes and every history entry to the new size, so undo/redo keep working
+        // in the new coordinate space. Shared arrays and strokes stay shared after mapping. Every stroke is
+        // fitted from the surface it was captured on, so repeated resizes do not compound rounding or
+        // shrinking, and returning to that size restores the original stroke.
+        #rescaleHistory = (from, to) => {
+            const strokeMap = new Map();
+            const listMap = new Map();
+            const fitFromOrigin = (stroke) => {
+                const origin = this.#strokeOrigins.get(stroke) || (from.width > 0 && from.height > 0 ? { stroke, surface: from } : null);
+                if (!origin) return stroke;
+                const { width, height } = origin.surface;
+                const fitted = width === to.width && height === to.height ? origin.stroke : Core.fitStrokes([origin.stroke], origin.surface, to)[0];
+                this.#strokeOrigins.set(fitted, origin);
+                return fitted;
+            };
+            const mapStroke = (stroke) => {
+                if (!strokeMap.has(stroke)) strokeMap.set(stroke, fitFromOrigin(stroke));
+                return strokeMap.get(stroke);
+            };
+            const mapList = (list) => {
+                if (!listMap.has(list)) listMap.set(list, list.map(mapStroke));
+                return listMap.get(list);
+            };
+            const mapEntry = (entry) => ({ ...entry, before: mapList(entry.before), after: mapList(entry.after) });
+            this.#allStrokes = mapList(this.#allStrokes);
+            this.#undoStack = this.#undoStack.map(mapEntry);
+            this.#redoStack = this.#redoStack.map(mapEntry);
+        }
+
+        #rememberOrigins = (strokes, surface) => {
+            strokes.forEach(stroke => this.#strokeOrigins.set(stroke, { stroke, surface: { width: surface.width, height: surface.height } }));
+        }
+
+        #getCoordinates = (event, rect = this.canvas.getBoundingClientRect()) => {
             let x = event.clientX - rect.left;
             let y = event.clientY - rect.top;
             const halfPenWidth = (this.options.maxWidth || this.options.dotSize) / 2;
             x = Math.max(halfPenWidth, Math.min(x, this.canvasWidth - halfPenWidth));
             y = Math.max(halfPenWidth, Math.min(y, this.canvasHeight - halfPenWidth));
             const pressure = event.pressure > 0 ? event.pressure : 0.5;
-            return { x, y, time: Date.now(), pressure };
+            return { x, y, time: this.#eventTime(event), pressure };
+        }
+
+        // Coalesced and predicted events carry their own timestamps; fall back to the clock otherwise.
+        // Times are whole milliseconds, like `Date.now()`, which is what every exporter expects.
+        #eventTime = (event) => {
+            if (event.timeStamp > 0 && typeof performance !== 'undefined' && performance.timeOrigin) {
+                return Math.round(performance.timeOrigin + event.timeStamp);
+            }
+            return Date.now();
+        }
+
+        #addLivePoint = (point) => {
+            this.#currentStroke.push(point);
+            const index = this.#currentStroke.length - 1;
+            if (index === 0) {
+                this.#emitStream('strokeUpdate', 'start', () => ({ ...this.#liveStroke(), point: { ...point } }));
+            } else {
+                this.#emitStream('pointAdded', 'point', () => ({ strokeId: this.#liveId, index, point: { ...point } }));
+            }
+            const last = this.#liveFiltered[this.#liveFiltered.length - 1];
+            if (!last || Math.hypot(point.x - last.x, point.y - last.y) > this.options.minDistance) {
+                this.#liveFiltered.push(point);
+            }
+        }
+
+        #notePenActivity = (event) => {
+            if (event.pointerType === 'pen') this.#lastPenActivity = Date.now();
+        }
+
+        #acceptsPointer = (event) => {
+            const { pointerTypes, palmRejection, palmRejectionTimeout } = this.options;
+            if (pointerTypes && !pointerTypes.includes(event.pointerType)) return false;
+            if (palmRejection && event.pointerType === 'touch' && Date.now() - this.#lastPenActivity < palmRejectionTimeout) return false;
+            return true;
+        }
+
+        // Drops the gesture in progress without recording it, e.g. when a pen lands while a resting
+        // palm is being tracked as a touch stroke.
+        #cancelGesture = (reason) => {
+            if (!this.#pointer) return;
+            if (this.canvas.hasPointerCapture(this.#pointer.id)) {
+                this.canvas.releasePointerCapture(this.#pointer.id);
+            }
+            const { type: pointerType } = this.#pointer;
+            this.#endLiveStream('cancel');
+            if (this.#erasing) {
+                this.#allStrokes = this.#erasing.before;
+                this.#erasing = null;
+            }
+            this.#pointer = null;
+            this.#isDrawing = false;
+            this.#currentStroke = [];
+            this.#liveFiltered = [];
+            this.#predicted = [];
+            this.#redrawCanvas();
+            this.#emit('drawCancel', { reason, pointerType });
         }
 
         #startDrawing = (event) => {
-            if (event.button !== 0) return;
+            if (event.button !== 0 || this.options.readOnly) return;
+            this.#notePenActivity(event);
+            if (!this.#acceptsPointer(event)) return;
+            if (this.#pointer) {
+                const palmTakeover = this.options.palmRejection && event.pointerType === 'pen' && this.#pointer.type === 'touch';
+                if (!palmTakeover) return;
+                this.#cancelGesture('palm');
+            }
             event.preventDefault();
+            this.stopReplay();
             this.canvas.setPointerCapture(event.pointerId);
+            this.#pointer = { id: event.pointerId, type: event.pointerType };
+            if (this.options.tool === 'eraser') {
+                const point = this.#getCoordinates(event);
+                this.#erasing = { before: this.#allStrokes, last: point, removed: [] };
+                this.#eraseAlong(point, point);
+                return;
+            }
             this.#isDrawing = true;
-            this.#currentStroke = [this.#getCoordinates(event)];
-            this.#emit('drawStart', { event });
+            this.#currentStroke = [];
+            this.#liveFiltered = [];
+            this.#predicted = [];
+            this.#liveId = Core.createStrokeId();
+            this.#addLivePoint(this.#getCoordinates(event));
+            this.#emit('drawStart', { event, pointerType: event.pointerType });
         }
 
         #draw = (event) => {
-            if (!this.#isDrawing) return;
+            this.#notePenActivity(event);
+            if (!this.#pointer || event.pointerId !== this.#pointer.id) return;
             event.preventDefault();
-            if(this.canvas.hasPointerCapture(event.pointerId)) {
-                this.#currentStroke.push(this.#getCoordinates(event));
-                if (!this.#drawing) {
-                    this.#drawing = true;
-                    requestAnimationFrame(() => {
-                        this.#redrawCanvas();
-                        this.#drawing = false;
-                    });
-                }
+            if (this.#erasing) {
+                const point = this.#getCoordinates(event);
+                this.#eraseAlong(this.#erasing.last, point);
+                this.#erasing.last = point;
+                return;
+            }
+            const rect = this.canvas.getBoundingClientRect();
+            const coalesced = event.getCoalescedEvents ? event.getCoalescedEvents() : [];
+            (coalesced.length > 0 ? coalesced : [event]).forEach(sample => this.#addLivePoint(this.#getCoordinates(sample, rect)));
+            if (this.options.predictedInk && event.getPredictedEvents) {
+                this.#predicted = event.getPredictedEvents().map(sample => this.#getCoordinates(sample, rect));
+            }
+            this.#scheduleRedraw();
+        }
+
+        #scheduleRedraw = () => {
+            if (!this.#drawing) {
+                this.#drawing = true;
+                requestAnimationFrame(() => {
+                    this.#redrawCanvas();
+                    this.#drawing = false;
+                });
             }
         }
 
+        // Removes every stroke touched by the eraser moving from `from` to `to`. The path is sampled at
+        // a quarter of the eraser size so fast movements do not skip thin strokes.
+        #eraseAlong = (from, to) => {
+            const radius = this.options.eraserSize / 2;
+            const steps = Math.max(1, Math.ceil(Math.hypot(to.x - from.x, to.y - from.y) / (radius / 2 || 1)));
+            const removed = [];
+            const remaining = this.#allStrokes.filter((stroke, index) => {
+                for (let i = 0; i <= steps; i++) {
+                    const x = from.x + (to.x - from.x) * i / steps;
+                    const y = from.y + (to.y - from.y) * i / steps;
+                    if (Core.hitTestStroke(stroke, x, y, radius, this.options)) {
+                        removed.push({ stroke, index });
+                        return false;
+                    }
+                }
+                return true;
+            });
+            if (removed.length === 0) return;
+            this.#allStrokes = remaining;
+            this.#erasing.removed.push(...removed);
+            this.#scheduleRedraw();
+        }
+
         #stopDrawing = (event) => {
-            if (!this.#isDrawing) return;
-            if(this.canvas.hasPointerCapture(event.pointerId)) {
+            if (!this.#pointer || event.pointerId !== this.#pointer.id) return;
+            if (this.canvas.hasPointerCapture(event.pointerId)) {
                 this.canvas.releasePointerCapture(event.pointerId);
             }
+            const { type: pointerType } = this.#pointer;
+            this.#pointer = null;
+            // Removals are only reported once the gesture is committed; a cancelled gesture restores them.
+            if (this.#erasing) {
+                const { before, removed } = this.#erasing;
+                this.#erasing = null;
+                if (this.#allStrokes !== before) this.#commit('erase', this.#allStrokes, before);
+                removed.forEach(({ stroke, index }) => {
+                    this.#emit('strokeRemove', { stroke: this.#copyStroke(stroke), index, source: 'eraser' });
+                });
+                return;
+            }
             this.#isDrawing = false;
             let newStroke = null;
             if (this.#currentStroke.length > 0) {
@@ -272,190 +1068,172 @@
                     ? this.#simplifyStroke(this.#currentStroke)
                     : this.#currentStroke;
                 newStroke = {
+                    id: this.#liveId,
                     points: strokePoints,
                     color: this.options.penColor,
                     minWidth: this.options.minWidth,
-                    maxWidth: this.options.maxWidth
+                    maxWidth: this.options.maxWidth,
+                    pointerType,
+                    ...this.#brushStyle(),
                 };
-                this.#allStrokes.push(newStroke);
+                // The live stroke ends first, so listeners of the commit's events see no stroke in progress.
+                this.#endLiveStream('end', () => ({
+                    stroke: this.#copyStroke(newStroke),
+                    surface: { width: this.canvasWidth, height: this.canvasHeight },
+                }));
+                this.#commit('draw', [...this.#allStrokes, newStroke]);
             }
             if (newStroke) { this.#emit('drawEnd', { stroke: newStroke }); }
             this.#currentStroke = [];
+            this.#liveFiltered = [];
+            this.#predicted = [];
             this.#redrawCanvas();
         }
 
+        // Committed strokes live in an offscreen layer, so a frame only blits it and paints the stroke in
+        // progress. The layer is extended in place when strokes were only appended since the last sync.
         #redrawCanvas = () => {
+            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
             this.ctx.fillStyle = this.options.backgroundColor;
             this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-            this.#allStrokes.forEach((stroke) => {
-                this.#drawStroke(this.ctx, stroke.points, stroke.color, stroke.minWidth, stroke.maxWidth);
-            });
-            if (this.#isDrawing && this.#currentStroke && this.#currentStroke.length > 0) {
-                const strokeToDraw = (this.options.smoothingMode === 'live' && this.#currentStroke.length > 1)
-                    ? this.#simplifyStroke(this.#currentStroke)
+            this.#updateGuideFade();
+            if (this.options.guide && this.#guide.opacity > 0 && this.canvas.width > 0 && this.canvas.height > 0) {
+                this.#syncGuide();
+                this.ctx.save();
+                this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+                this.ctx.globalAlpha = this.#guide.opacity;
+                this.ctx.drawImage(this.#guide.canvas, 0, 0);
+                this.ctx.restore();
+            }
+            if (this.#replay) {
+                this.#paintStrokes(this.ctx, Core.strokesAt(this.#replay.strokes, this.#replay.position));
+            } else if (this.canvas.width > 0 && this.canvas.height > 0) {
+                // drawImage() throws for a zero-size source, which the layer is while the pad is hidden.
+                this.#syncLayer();
+                this.ctx.save();
+                this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+                this.ctx.drawImage(this.#layer.canvas, 0, 0);
+                this.ctx.restore();
+            }
+            if (this.#isDrawing && this.#currentStroke.length > 0) {
+                let strokeToDraw = (this.options.smoothingMode === 'live' && this.#currentStroke.length > 1)
+                    ? Core.smoothStroke(this.#liveFiltered, this.options)
                     : this.#currentStroke;
-                this.#drawStroke(this.ctx, strokeToDraw, this.options.penColor, this.options.minWidth, this.options.maxWidth);
+                if (this.#predicted.length > 0) strokeToDraw = [...strokeToDraw, ...this.#predicted];
+                const { penColor, minWidth, maxWidth } = this.options;
+                this.#drawStroke(this.ctx, { points: strokeToDraw, minWidth, maxWidth, ...this.#brushStyle() }, penColor);
             }
+            if (this.#remote) this.#remote.live.forEach(this.#drawRemoteStroke);
         }
 
-        #simplifyStroke = (points) => {
-            if (points.length < 3) return points;
-            let simplifiedPoints = [points[0]];
-            let lastPoint = points[0];
-            for (let i = 1; i < points.length; i++) {
-                const distance = Math.hypot(points[i].x - lastPoint.x, points[i].y - lastPoint.y);
-                if (distance > this.options.minDistance) {
-                    simplifiedPoints.push(points[i]);
-                    lastPoint = points[i];
-                }
+        #paintStrokes = (ctx, strokes) => {
+            strokes.forEach((stroke) => {
+                this.#drawStroke(ctx, stroke, stroke.color);
+            });
+        }
+
+        #syncLayer = () => {
+            const layer = this.#layer;
+            const strokes = this.#allStrokes;
+            if (layer.strokes === strokes) return;
+            const appended = layer.strokes !== null
+                && strokes.length > layer.strokes.length
+                && layer.strokes.every((stroke, i) => strokes[i] === stroke);
+            if (appended) {
+                strokes.slice(layer.strokes.length).forEach((stroke) => {
+                    this.#drawStroke(layer.ctx, stroke, stroke.color);
+                });
+            } else {
+                layer.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+                this.#paintStrokes(layer.ctx, strokes);
             }
-            if (simplifiedPoints.length < 3) return simplifiedPoints;
-            const smoothedPoints = [simplifiedPoints[0]];
-            const fadeLength = this.options.smoothingFadePoints;
-            for (let i = 1; i < simplifiedPoints.length - 1; i++) {
-                const prev = simplifiedPoints[i - 1];
-                const current = simplifiedPoints[i];
-                const next = simplifiedPoints[i + 1];
-                const fadeInRatio = Math.min(1, i / fadeLength);
-                const fadeOutRatio = Math.min(1, (simplifiedPoints.length - 2 - i) / fadeLength);
-                const dynamicRatio = this.options.smoothingRatio * Math.min(fadeInRatio, fadeOutRatio);
-                const smoothedX = current.x * (1 - dynamicRatio) + (prev.x + next.x) / 2 * dynamicRatio;
-                const smoothedY = current.y * (1 - dynamicRatio) + (prev.y + next.y) / 2 * dynamicRatio;
-                smoothedPoints.push({ x: smoothedX, y: smoothedY, time: current.time, pressure: current.pressure });
-            }
-            smoothedPoints.push(simplifiedPoints[simplifiedPoints.length - 1]);
-            return smoothedPoints;
-        }
-
-        #drawStroke = (ctx, points, color, minWidth, maxWidth) => {
-            if (points.length === 0) return;
-            if (points.length === 1) {
-                ctx.beginPath();
-                ctx.fillStyle = color;
-                const radius = (this.options.maxWidth || this.options.dotSize) / 2;
-                ctx.arc(points[0].x, points[0].y, radius, 0, Math.PI * 2, true);
-                ctx.fill();
-                return;
+            layer.strokes = strokes;
+        }
+
+        #invalidateLayer = () => {
+            if (this.#layer) this.#layer.strokes = null;
+        }
+
+        // The guide sits between the background and the strokes, in its own cached layer so that
+        // fading it only costs one blit per frame.
+        #syncGuide = () => {
+            const guide = this.#guide;
+            if (guide.valid) return;
+            guide.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+            Core.drawGuide(guide.ctx, this.#guideOptions(), this.canvasWidth, this.canvasHeight);
+            guide.valid = true;
+        }
+
+        // Image URLs are loaded once; until the image arrives the URL is passed through, which the SVG
+        // exporter understands and the canvas renderer skips.
+        #guideOptions = () => {
+            const { guide } = this.options;
+            if (!guide) return null;
+            if (typeof guide.image !== 'string') return guide;
+            let entry = this.#guide.image;
+            if (!entry || entry.src !== guide.image) {
+                const element = new Image();
+                entry = { src: guide.image, element, loaded: false };
+                element.onload = () => {
+                    if (this.#guide.image !== entry) return;
+                    entry.loaded = true;
+                    this.#guide.valid = false;
+                    this.#redrawCanvas();
+                };
+                element.src = guide.image;
+                this.#guide.image = entry;
             }
-            ctx.strokeStyle = color;
-            const widths = this.#calculateWidths(points, minWidth, maxWidth);
-            ctx.beginPath();
-            ctx.moveTo(points[0].x, points[0].y);
-            for (let i = 1; i < points.length - 1; i++) {
-                const p1 = points[i];
-                const p2 = points[i + 1];
-                const midX = (p1.x + p2.x) / 2;
-                const midY = (p1.y + p2.y) / 2;
-                const segmentWidth = (widths[i] + widths[i + 1]) / 2;
-                ctx.lineWidth = segmentWidth;
-                ctx.quadraticCurveTo(p1.x, p1.y, midX, midY);
-                ctx.stroke();
-                ctx.beginPath();
-                ctx.moveTo(midX, midY);
-            }
-            ctx.lineWidth = widths[points.length - 1];
-            ctx.lineTo(points[points.length - 1].x, points[points.length - 1].y);
-            ctx.stroke();
-        }
-
-        #calculateWidths = (points, minWidth, maxWidth) => {
-            const widths = [];
-            let lastVelocity = 0;
-            const usePressure = this.options.pressureSupport && points.some(p => p.pressure > 0 && p.pressure < 1);
-            for (let i = 0; i < points.length; i++) {
-                let width;
-                if (usePressure) {
-                    width = minWidth + (maxWidth - minWidth) * points[i].pressure;
-                } else {
-                    let velocity = 0;
-                    if (i > 0) {
-                        const distance = Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
-                        const time = points[i].time - points[i - 1].time;
-                        velocity = time > 0 ? distance / time : lastVelocity;
-                    }
-                    lastVelocity = (velocity * (1 - this.options.velocityFilterWeight)) + (lastVelocity * this.options.velocityFilterWeight);
-                    width = Math.max(minWidth, Math.min(maxWidth, maxWidth - (lastVelocity * 1.5)));
-                }
-                widths.push(width);
+            return entry.loaded ? { ...guide, image: entry.element } : guide;
+        }
+
+        #updateGuideFade = () => {
+            const guide = this.#guide;
+            const settings = { ...Core.GUIDE_DEFAULTS, ...this.options.guide };
+            const target = settings.fadeOnDraw && (this.#isDrawing || !this.isEmpty()) ? 0 : 1;
+            if (guide.target === target) return;
+            const initial = guide.target === null;
+            guide.target = target;
+            if (initial || !this.options.guide || !settings.fadeDuration) {
+                guide.opacity = target;
+            } else if (guide.frame === null) {
+                guide.frame = requestAnimationFrame(this.#guideFrame);
             }
-            return widths;
         }
 
-        #calculateBoundingBox = () => {
-            if (this.isEmpty()) return null;
-            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-            this.#allStrokes.forEach(stroke => {
-                const widths = this.#calculateWidths(stroke.points, stroke.minWidth, stroke.maxWidth);
-                stroke.points.forEach((point, index) => {
-                    const halfWidth = widths[index] / 2;
-                    minX = Math.min(minX, point.x - halfWidth);
-                    maxX = Math.max(maxX, point.x + halfWidth);
-                    minY = Math.min(minY, point.y - halfWidth);
-                    maxY = Math.max(maxY, point.y + halfWidth);
-                });
-            });
-            return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+        #guideFrame = (timestamp) => {
+            const guide = this.#guide;
+            const { fadeDuration } = { ...Core.GUIDE_DEFAULTS, ...this.options.guide };
+            const step = guide.lastFrame === null ? 0 : (timestamp - guide.lastFrame) / fadeDuration;
+            guide.lastFrame = timestamp;
+            guide.opacity = guide.target > guide.opacity
+                ? Math.min(guide.target, guide.opacity + step)
+                : Math.max(guide.target, guide.opacity - step);
+            guide.frame = null;
+            if (guide.opacity !== guide.target) {
+                guide.frame = requestAnimationFrame(this.#guideFrame);
+            } else {
+                guide.lastFrame = null;
+            }
+            this.#redrawCanvas();
         }
 
-        #generateSmoothSvgPathData = (points, widths) => {
-            if (points.length < 2) {
-                if (points.length === 1) {
-                    const r = (this.options.maxWidth || this.options.dotSize) / 2;
-                    return `M${points[0].x.toFixed(2)},${points[0].y.toFixed(2)} m-${r},0 a${r},${r} 0 1,0 ${r * 2},0 a${r},${r} 0 1,0 -${r * 2},0`;
-                }
-                return '';
-            }
-            const outline1 = [], outline2 = [];
-            for (let i = 0; i < points.length; i++) {
-                const p = points[i];
-                const nextP = (i < points.length - 1) ? points[i + 1] : p;
-                const prevP = (i > 0) ? points[i - 1] : p;
-                let tangentX, tangentY;
-                if (i === 0) {
-                    tangentX = nextP.x - p.x;
-                    tangentY = nextP.y - p.y;
-                } else if (i === points.length - 1) {
-                    tangentX = p.x - prevP.x;
-                    tangentY = p.y - prevP.y;
-                } else {
-                    tangentX = (nextP.x - prevP.x) / 2;
-                    tangentY = (nextP.y - prevP.y) / 2;
-                }
-                const length = Math.hypot(tangentX, tangentY) || 1;
-                const normal = { x: -tangentY / length, y: tangentX / length };
-                const halfWidth = widths[i] / 2;
-                outline1.push({ x: p.x + normal.x * halfWidth, y: p.y + normal.y * halfWidth });
-                outline2.push({ x: p.x - normal.x * halfWidth, y: p.y - normal.y * halfWidth });
-            }
-            let pathData = '';
-            const startCapRadius = (widths[0] / 2).toFixed(2);
-            pathData += `M${outline1[0].x.toFixed(2)},${outline1[0].y.toFixed(2)}`;
-            pathData += ` A${startCapRadius},${startCapRadius} 0 0 1 ${outline2[0].x.toFixed(2)},${outline2[0].y.toFixed(2)}`;
-
-            for (let i = 0; i < outline2.length - 1; i++) {
-                const p1 = outline2[i];
-                const p2 = outline2[i + 1];
-                const midX = (p1.x + p2.x) / 2;
-                const midY = (p1.y + p2.y) / 2;
-                pathData += ` Q${p1.x.toFixed(2)},${p1.y.toFixed(2)} ${midX.toFixed(2)},${midY.toFixed(2)}`;
-            }
-            pathData += ` L${outline2[outline2.length - 1].x.toFixed(2)},${outline2[outline2.length - 1].y.toFixed(2)}`;
-
-            const endCapRadius = (widths[widths.length - 1] / 2).toFixed(2);
-            pathData += ` A${endCapRadius},${endCapRadius} 0 0 1 ${outline1[outline1.length - 1].x.toFixed(2)},${outline1[outline1.length - 1].y.toFixed(2)}`;
-
-            for (let i = outline1.length - 2; i >= 0; i--) {
-                const p1 = outline1[i + 1];
-                const p2 = outline1[i];
-                const midX = (p1.x + p2.x) / 2;
-                const midY = (p1.y + p2.y) / 2;
-                pathData += ` Q${p1.x.toFixed(2)},${p1.y.toFixed(2)} ${midX.toFixed(2)},${midY.toFixed(2)}`;
-            }
-            pathData += ' Z';
-            return pathData;
+        #simplifyStroke = (points) => Core.simplifyStroke(points, this.options);
+
+        #drawStroke = (ctx, stroke, color) => {
+            Core.paintStroke(ctx, stroke, color, this.options);
+        }
+
+        // The brush is stored on every stroke, so changing it later does not restyle existing ink.
+        #brushStyle = () => {
+            const { brush, nibAngle } = this.options;
+            return brush === 'calligraphy' ? { brush, nibAngle } : { brush };
         }
     }
 
-    global.czSignature = czSignature;
+    if (typeof module === 'object' && module.exports) {
+        module.exports = czSignature;
+    } else {
+        global.czSignature = czSignature;
+    }
 
-})(typeof window !== 'undefined' ? window : this);
\ No newline at end of file
+})(typeof globalThis !== 'undefined' ? globalThis : typeof window !== 'undefined' ? window : this);
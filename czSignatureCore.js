@@ -0,0 +1,1569 @@
+/**
+ * czSignatureCore.js - v1.1
+ * The DOM-free geometry and rendering core of czSignature.js. Turns stroke data into SVG markup
+ * or draws it onto any injected 2D context, so the same code runs in the browser and in Node.
+ *
+ * Copyright (c) 2025 Cyberzilla
+ * MIT License
+ */
+(function(global) {
+    'use strict';
+
+    const VERSION = '1.1';
+
+    const DEFAULTS = {
+        penColor: '#000000',
+        backgroundColor: '#ffffff',
+        minWidth: 0.5,
+        maxWidth: 2.5,
+        velocityFilterWeight: 0.7,
+        dotSize: 2.0,
+        minDistance: 0.8,
+        smoothingRatio: 0.5,
+        smoothingFadePoints: 4,
+        pressureSupport: false,
+        dpi: 300,
+        trimOutput: false,
+        trimPadding: 16,
+        outputPenColor: null,
+        outputBackgroundColor: null,
+        guide: null,
+        includeGuide: false,
+    };
+
+    const GUIDE_DEFAULTS = {
+        baseline: 0.75,
+        baselineInset: 24,
+        baselineColor: '#ced4da',
+        baselineWidth: 1,
+        marker: 'X',
+        label: 'Sign here',
+        color: '#adb5bd',
+        fontSize: 14,
+        fontFamily: 'sans-serif',
+        image: null,
+        imageFit: 'contain',
+        imageOpacity: 0.35,
+        draw: null,
+        fadeOnDraw: true,
+        fadeDuration: 300,
+    };
+
+    const resolve = (options) => ({ ...DEFAULTS, ...options });
+
+    // Keeps the first point and every point further than `minDistance` from the last kept one.
+    const filterByDistance = (points, minDistance) => {
+        if (points.length === 0) return [];
+        const filtered = [points[0]];
+        let lastPoint = points[0];
+        for (let i = 1; i < points.length; i++) {
+            const distance = Math.hypot(points[i].x - lastPoint.x, points[i].y - lastPoint.y);
+            if (distance > minDistance) {
+                filtered.push(points[i]);
+                lastPoint = points[i];
+            }
+        }
+        return filtered;
+    };
+
+    const smoothStroke = (points, options = {}) => {
+        const { smoothingFadePoints, smoothingRatio } = resolve(options);
+        if (points.length < 3) return points;
+        const smoothedPoints = [points[0]];
+        const fadeLength = smoothingFadePoints;
+        for (let i = 1; i < points.length - 1; i++) {
+            const prev = points[i - 1];
+            const current = points[i];
+            const next = points[i + 1];
+            const fadeInRatio = Math.min(1, i / fadeLength);
+            const fadeOutRatio = Math.min(1, (points.length - 2 - i) / fadeLength);
+            const dynamicRatio = smoothingRatio * Math.min(fadeInRatio, fadeOutRatio);
+            const smoothedX = current.x * (1 - dynamicRatio) + (prev.x + next.x) / 2 * dynamicRatio;
+            const smoothedY = current.y * (1 - dynamicRatio) + (prev.y + next.y) / 2 * dynamicRatio;
+            smoothedPoints.push({ x: smoothedX, y: smoothedY, time: current.time, pressure: current.pressure });
+        }
+        smoothedPoints.push(points[points.length - 1]);
+        return smoothedPoints;
+    };
+
+    const simplifyStroke = (points, options = {}) => {
+        if (points.length < 3) return points;
+        return smoothStroke(filterByDistance(points, resolve(options).minDistance), options);
+    };
+
+    const calculateWidths = (points, minWidth, maxWidth, options = {}) => {
+        const { pressureSupport, velocityFilterWeight } = resolve(options);
+        const widths = [];
+        let lastVelocity = 0;
+        const usePressure = pressureSupport && points.some(p => p.pressure > 0 && p.pressure < 1);
+        for (let i = 0; i < points.length; i++) {
+            let width;
+            if (usePressure) {
+                width = minWidth + (maxWidth - minWidth) * points[i].pressure;
+            } else {
+                let velocity = 0;
+                if (i > 0) {
+                    const distance = Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+                    const time = points[i].time - points[i - 1].time;
+                    velocity = time > 0 ? distance / time : lastVelocity;
+                }
+                lastVelocity = (velocity * (1 - velocityFilterWeight)) + (lastVelocity * velocityFilterWeight);
+                width = Math.max(minWidth, Math.min(maxWidth, maxWidth - (lastVelocity * 1.5)));
+            }
+            widths.push(width);
+        }
+        return widths;
+    };
+
+    const dotRadius = (options) => {
+        const { maxWidth, dotSize } = resolve(options);
+        return (maxWidth || dotSize) / 2;
+    };
+
+    const DEFAULT_BRUSH = 'fountain';
+    const BRUSH_NAME = /^[a-z][\w-]{0,31}$/;
+
+    // Direction of travel at each point, as used for the outline normals.
+    const getTangentAngles = (points) => points.map((p, i) => {
+        const prevP = points[Math.max(0, i - 1)];
+        const nextP = points[Math.min(points.length - 1, i + 1)];
+        return Math.atan2(nextP.y - prevP.y, nextP.x - prevP.x);
+    });
+
+    /**
+     * A brush turns a stroke into the width of its outline at every point. `cap` is `'round'` or
+     * `'butt'`. Strokes without a `brush` (including all data saved before brushes existed) use the
+     * fountain pen, which is the original pressure/velocity behaviour.
+     */
+    const BRUSHES = {
+        fountain: {
+            cap: 'round',
+            widths: (points, stroke, options) => calculateWidths(points, stroke.minWidth, stroke.maxWidth, options),
+        },
+        ballpoint: {
+            cap: 'round',
+            widths: (points, stroke) => points.map(() => (stroke.minWidth + stroke.maxWidth) / 2),
+        },
+        calligraphy: {
+            cap: 'butt',
+            // A broad nib held at `nibAngle` degrees: thin when moving along the nib, broad across it.
+            widths: (points, stroke) => {
+                const nib = (stroke.nibAngle ?? 45) * Math.PI / 180;
+                const broad = stroke.maxWidth * 2;
+                return getTangentAngles(points).map(angle => stroke.minWidth + (broad - stroke.minWidth) * Math.abs(Math.sin(angle - nib)));
+            },
+        },
+        marker: {
+            cap: 'round',
+            widths: (points, stroke) => points.map(() => stroke.maxWidth * 2.5),
+        },
+    };
+
+    const registerBrush = (name, brush) => {
+        if (typeof name !== 'string' || !BRUSH_NAME.test(name)) {
+            throw new TypeError('Brush name must start with a lowercase letter and contain up to 32 letters, digits, "_" or "-".');
+        }
+        if (!brush || typeof brush.widths !== 'function') throw new TypeError('Brush must provide a widths(points, stroke, options) function.');
+        const cap = brush.cap ?? 'round';
+        if (cap !== 'round' && cap !== 'butt') throw new TypeError('Brush cap must be "round" or "butt".');
+        BRUSHES[name] = { cap, widths: brush.widths };
+    };
+
+    const getBrush = (name) => BRUSHES[name] || BRUSHES[DEFAULT_BRUSH];
+
+    const getStrokeWidths = (stroke, options = {}) => getBrush(stroke.brush).widths(stroke.points, stroke, options);
+
+    const calculateBoundingBox = (strokes, options = {}) => {
+        if (strokes.length === 0) return null;
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        strokes.forEach(stroke => {
+            const widths = getStrokeWidths(stroke, options);
+            stroke.points.forEach((point, index) => {
+                const halfWidth = widths[index] / 2;
+                minX = Math.min(minX, point.x - halfWidth);
+                maxX = Math.max(maxX, point.x + halfWidth);
+                minY = Math.min(minY, point.y - halfWidth);
+                maxY = Math.max(maxY, point.y + halfWidth);
+            });
+        });
+        if (minX === Infinity) return null;
+        return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+    };
+
+    /**
+     * Builds the filled outline of a stroke as absolute path segments: `['M', x, y]`, `['L', x, y]`,
+     * `['Q', cx, cy, x, y]`, `['A', r, x, y]` (a half circle cap from the current point, sweeping
+     * clockwise on screen; a straight `['L', x, y]` for `'butt'` caps), `['O', x, y, r]` (a full dot)
+     * and `['Z']`. The canvas, SVG and PDF renderers all draw these same segments.
+     */
+    const getOutlineSegments = (points, widths, options = {}, cap = 'round') => {
+        if (points.length < 2) {
+            return points.length === 1 ? [['O', points[0].x, points[0].y, dotRadius(options)]] : [];
+        }
+        const outline1 = [], outline2 = [];
+        for (let i = 0; i < points.length; i++) {
+            const p = points[i];
+            const nextP = (i < points.length - 1) ? points[i + 1] : p;
+            const prevP = (i > 0) ? points[i - 1] : p;
+            let tangentX, tangentY;
+            if (i === 0) {
+                tangentX = nextP.x - p.x;
+                tangentY = nextP.y - p.y;
+            } else if (i === points.length - 1) {
+                tangentX = p.x - prevP.x;
+                tangentY = p.y - prevP.y;
+            } else {
+                tangentX = (nextP.x - prevP.x) / 2;
+                tangentY = (nextP.y - prevP.y) / 2;
+            }
+            const length = Math.hypot(tangentX, tangentY) || 1;
+            const normal = { x: -tangentY / length, y: tangentX / length };
+            const halfWidth = widths[i] / 2;
+            outline1.push({ x: p.x + normal.x * halfWidth, y: p.y + normal.y * halfWidth });
+            outline2.push({ x: p.x - normal.x * halfWidth, y: p.y - normal.y * halfWidth });
+        }
+        const capTo = (width, point) => (cap === 'butt' ? ['L', point.x, point.y] : ['A', width / 2, point.x, point.y]);
+        const segments = [['M', outline1[0].x, outline1[0].y], capTo(widths[0], outline2[0])];
+        for (let i = 0; i < outline2.length - 1; i++) {
+            const p1 = outline2[i];
+            const p2 = outline2[i + 1];
+            segments.push(['Q', p1.x, p1.y, (p1.x + p2.x) / 2, (p1.y + p2.y) / 2]);
+        }
+        const last = outline2.length - 1;
+        segments.push(['L', outline2[last].x, outline2[last].y]);
+        segments.push(capTo(widths[widths.length - 1], outline1[last]));
+        for (let i = outline1.length - 2; i >= 0; i--) {
+            const p1 = outline1[i + 1];
+            const p2 = outline1[i];
+            segments.push(['Q', p1.x, p1.y, (p1.x + p2.x) / 2, (p1.y + p2.y) / 2]);
+        }
+        segments.push(['Z']);
+        return segments;
+    };
+
+    const getStrokeOutline = (stroke, options = {}) => {
+        return getOutlineSegments(stroke.points, getStrokeWidths(stroke, options), options, getBrush(stroke.brush).cap);
+    };
+
+    const segmentsToSvgPath = (segments) => {
+        const xy = (x, y) => `${x.toFixed(2)},${y.toFixed(2)}`;
+        return segments.map(([command, ...args]) => {
+            switch (command) {
+                case 'O': {
+                    const [x, y, r] = args;
+                    return `M${xy(x, y)} m-${r},0 a${r},${r} 0 1,0 ${r * 2},0 a${r},${r} 0 1,0 -${r * 2},0`;
+                }
+                case 'A': {
+                    const r = args[0].toFixed(2);
+                    return `A${r},${r} 0 0 1 ${xy(args[1], args[2])}`;
+                }
+                case 'Q':
+                    return `Q${xy(args[0], args[1])} ${xy(args[2], args[3])}`;
+                case 'Z':
+                    return 'Z';
+                default:
+                    return `${command}${xy(args[0], args[1])}`;
+            }
+        }).join(' ');
+    };
+
+    const generateSmoothSvgPathData = (points, widths, options = {}) => segmentsToSvgPath(getOutlineSegments(points, widths, options));
+
+    const traceOutline = (ctx, segments) => {
+        let current = null;
+        segments.forEach(([command, ...args]) => {
+            switch (command) {
+                case 'M':
+                    ctx.moveTo(args[0], args[1]);
+                    current = { x: args[0], y: args[1] };
+                    break;
+                case 'L':
+                    ctx.lineTo(args[0], args[1]);
+                    current = { x: args[0], y: args[1] };
+                    break;
+                case 'Q':
+                    ctx.quadraticCurveTo(args[0], args[1], args[2], args[3]);
+                    current = { x: args[2], y: args[3] };
+                    break;
+                case 'A': {
+                    const [r, x, y] = args;
+                    const cx = (current.x + x) / 2, cy = (current.y + y) / 2;
+                    const start = Math.atan2(current.y - cy, current.x - cx);
+                    ctx.arc(cx, cy, r, start, start + Math.PI);
+                    current = { x, y };
+                    break;
+                }
+                case 'O':
+                    ctx.moveTo(args[0] + args[2], args[1]);
+                    ctx.arc(args[0], args[1], args[2], 0, Math.PI * 2);
+                    break;
+                case 'Z':
+                    ctx.closePath();
+                    break;
+            }
+        });
+    };
+
+    /**
+     * Fills the outline of `stroke` (`{ points, minWidth, maxWidth, brush, nibAngle }`) on `ctx`. Each
+     * stroke is a single filled path, so semi-transparent colours do not darken where segments overlap.
+     */
+    const paintStroke = (ctx, stroke, color, options = {}) => {
+        if (stroke.points.length === 0) return;
+        ctx.beginPath();
+        traceOutline(ctx, getStrokeOutline(stroke, options));
+        ctx.fillStyle = color;
+        ctx.fill('nonzero');
+    };
+
+    const drawStroke = (ctx, points, color, minWidth, maxWidth, options = {}) => {
+        paintStroke(ctx, { points, minWidth, maxWidth, brush: options.brush, nibAngle: options.nibAngle }, color, options);
+    };
+
+    const SIGNED_PACKAGE_ID = 'cz-signed-package';
+
+    const escapeXml = (value) => String(value).replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+
+    // Positions of the guide elements in capture-surface coordinates, shared by the canvas and SVG renderers.
+    const getGuideLayout = (guide, width, height) => {
+        const baselineY = guide.baseline === null ? null : height * guide.baseline;
+        const textY = baselineY === null ? height / 2 : baselineY;
+        return {
+            baselineY,
+            x1: guide.baselineInset,
+            x2: width - guide.baselineInset,
+            markerY: textY - guide.baselineWidth - 4,
+            labelY: baselineY === null ? textY : baselineY + guide.fontSize + 6,
+        };
+    };
+
+    const fitImageRect = (sourceWidth, sourceHeight, width, height, fit) => {
+        if (fit === 'fill' || !sourceWidth || !sourceHeight) return { x: 0, y: 0, width, height };
+        const scale = (fit === 'cover' ? Math.max : Math.min)(width / sourceWidth, height / sourceHeight);
+        return {
+            x: (width - sourceWidth * scale) / 2,
+            y: (height - sourceHeight * scale) / 2,
+            width: sourceWidth * scale,
+            height: sourceHeight * scale,
+        };
+    };
+
+    /**
+     * Paints the guide (background image, baseline, marker, label and the custom `draw` callback) onto
+     * `ctx` for a `width` x `height` surface. `guide.image` must already be a drawable image here; URLs
+     * are only understood by the SVG renderer and the pad, which loads them.
+     */
+    const drawGuide = (ctx, guideOptions, width, height) => {
+        const guide = { ...GUIDE_DEFAULTS, ...guideOptions };
+        const layout = getGuideLayout(guide, width, height);
+        ctx.save();
+        const { image } = guide;
+        if (image && typeof image === 'object') {
+            const rect = fitImageRect(image.naturalWidth || image.width, image.naturalHeight || image.height, width, height, guide.imageFit);
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(0, 0, width, height);
+            ctx.clip();
+            ctx.globalAlpha = guide.imageOpacity;
+            ctx.drawImage(image, rect.x, rect.y, rect.width, rect.height);
+            ctx.restore();
+        }
+        if (layout.baselineY !== null) {
+            ctx.strokeStyle = guide.baselineColor;
+            ctx.lineWidth = guide.baselineWidth;
+            ctx.beginPath();
+            ctx.moveTo(layout.x1, layout.baselineY);
+            ctx.lineTo(layout.x2, layout.baselineY);
+            ctx.stroke();
+        }
+        ctx.fillStyle = guide.color;
+        ctx.textBaseline = 'alphabetic';
+        if (guide.marker) {
+            ctx.font = `${guide.fontSize * 1.5}px ${guide.fontFamily}`;
+            ctx.textAlign = 'left';
+            ctx.fillText(guide.marker, layout.x1, layout.markerY);
+        }
+        if (guide.label) {
+            ctx.font = `${guide.fontSize}px ${guide.fontFamily}`;
+            ctx.textAlign = 'center';
+            ctx.fillText(guide.label, width / 2, layout.labelY);
+        }
+        if (typeof guide.draw === 'function') {
+            guide.draw(ctx, { width, height, baselineY: layout.baselineY });
+        }
+        ctx.restore();
+    };
+
+    /**
+     * The SVG counterpart of `drawGuide()`. The custom `draw` callback needs a 2D context and is
+     * therefore canvas-only.
+     */
+    const guideToSVG = (guideOptions, width, height) => {
+        const guide = { ...GUIDE_DEFAULTS, ...guideOptions };
+        const layout = getGuideLayout(guide, width, height);
+        let svgContent = '  <g class="cz-guide">\n';
+        const { image } = guide;
+        const href = typeof image === 'string' ? image
+            : image && (image.src || (typeof image.toDataURL === 'function' ? image.toDataURL() : null));
+        if (href) {
+            const aspect = { fill: 'none', cover: 'xMidYMid slice' }[guide.imageFit] || 'xMidYMid meet';
+            svgContent += `    <image href="${escapeXml(href)}" x="0" y="0" width="${width}" height="${height}" preserveAspectRatio="${aspect}" opacity="${guide.imageOpacity}"/>\n`;
+        }
+        if (layout.baselineY !== null) {
+            svgContent += `    <line x1="${layout.x1}" y1="${layout.baselineY}" x2="${layout.x2}" y2="${layout.baselineY}" stroke="${escapeXml(guide.baselineColor)}" stroke-width="${guide.baselineWidth}"/>\n`;
+        }
+        const font = `font-family="${escapeXml(guide.fontFamily)}" fill="${escapeXml(guide.color)}"`;
+        if (guide.marker) {
+            svgContent += `    <text x="${layout.x1}" y="${layout.markerY}" font-size="${guide.fontSize * 1.5}" ${font}>${escapeXml(guide.marker)}</text>\n`;
+        }
+        if (guide.label) {
+            svgContent += `    <text x="${width / 2}" y="${layout.labelY}" font-size="${guide.fontSize}" text-anchor="middle" ${font}>${escapeXml(guide.label)}</text>\n`;
+        }
+        return `${svgContent}  </g>\n`;
+    };
+
+    /**
+     * Computes the output rectangle shared by every exporter. `options.width`/`options.height` are the
+     * logical size of the capture surface; when omitted, the extent of the strokes is used instead.
+     * Returns `null` when there is nothing to export.
+     */
+    const getExportLayout = (strokes, options = {}) => {
+        const { trimOutput, trimPadding, width, height } = resolve(options);
+        const bbox = calculateBoundingBox(strokes, options);
+        if (!bbox) return null;
+        if (trimOutput) {
+            return {
+                width: bbox.width + trimPadding * 2,
+                height: bbox.height + trimPadding * 2,
+                offsetX: bbox.minX - trimPadding,
+                offsetY: bbox.minY - trimPadding,
+            };
+        }
+        return { width: width ?? bbox.maxX, height: height ?? bbox.maxY, offsetX: 0, offsetY: 0 };
+    };
+
+    const openSvg = (layout, settings) => {
+        const { width: svgWidth, height: svgHeight, offsetX: viewBoxX, offsetY: viewBoxY } = layout;
+        const viewBox = `${viewBoxX} ${viewBoxY} ${svgWidth} ${svgHeight}`;
+        let svgContent = `<svg xmlns="http://www.w3.org/2000/svg" width="${svgWidth}" height="${svgHeight}" viewBox="${viewBox}">\n`;
+        const finalBgColor = settings.outputBackgroundColor ?? settings.backgroundColor;
+        if (finalBgColor !== 'transparent') {
+            svgContent += `  <rect x="${viewBoxX}" y="${viewBoxY}" width="${svgWidth}" height="${svgHeight}" fill="${finalBgColor}"/>\n`;
+        }
+        if (settings.signedPackage) {
+            svgContent += `  <metadata id="${SIGNED_PACKAGE_ID}">${escapeXml(JSON.stringify(settings.signedPackage))}</metadata>\n`;
+        }
+        if (settings.includeGuide && settings.guide) {
+            svgContent += guideToSVG(settings.guide, settings.width ?? svgWidth, settings.height ?? svgHeight);
+        }
+        return svgContent;
+    };
+
+    const toSVG = (strokes, options = {}) => {
+        const settings = resolve(options);
+        const layout = getExportLayout(strokes, settings);
+        if (!layout) return '';
+        let svgContent = openSvg(layout, settings);
+        svgContent += '  <g fill-rule="nonzero">\n';
+        strokes.forEach((stroke) => {
+            const { points, color } = stroke;
+            if (points.length === 0) return;
+            const finalPenColor = settings.outputPenColor ?? color;
+            const pathData = segmentsToSvgPath(getStrokeOutline(stroke, settings));
+            if (pathData) {
+                svgContent += `    <path d="${pathData}" fill="${finalPenColor}" stroke="none"/>\n`;
+            }
+        });
+        svgContent += '  </g>\n</svg>';
+        return svgContent.trim();
+    };
+
+    const distanceToSegment = (x, y, a, b) => {
+        const dx = b.x - a.x, dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared > 0 ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSquared)) : 0;
+        return { distance: Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy)), t };
+    };
+
+    /**
+     * Returns `true` if the circle at (`x`, `y`) with radius `tolerance` touches the inked area of the
+     * stroke, using the same variable widths as rendering.
+     */
+    const hitTestStroke = (stroke, x, y, tolerance = 0, options = {}) => {
+        const { points } = stroke;
+        if (points.length === 0) return false;
+        if (points.length === 1) {
+            return Math.hypot(x - points[0].x, y - points[0].y) <= dotRadius(options) + tolerance;
+        }
+        const widths = getStrokeWidths(stroke, options);
+        for (let i = 1; i < points.length; i++) {
+            const { distance, t } = distanceToSegment(x, y, points[i - 1], points[i]);
+            const halfWidth = (widths[i - 1] + (widths[i] - widths[i - 1]) * t) / 2;
+            if (distance <= halfWidth + tolerance) return true;
+        }
+        return false;
+    };
+
+    /**
+     * Returns the index of the topmost (most recently drawn) stroke under the point, or -1.
+     */
+    const findStrokeAt = (strokes, x, y, tolerance = 0, options = {}) => {
+        for (let i = strokes.length - 1; i >= 0; i--) {
+            if (hitTestStroke(strokes[i], x, y, tolerance, options)) return i;
+        }
+        return -1;
+    };
+
+    const getTimeline = (strokes) => {
+        let startTime = Infinity, endTime = -Infinity;
+        strokes.forEach(stroke => stroke.points.forEach(point => {
+            startTime = Math.min(startTime, point.time);
+            endTime = Math.max(endTime, point.time);
+        }));
+        if (startTime === Infinity) return { startTime: null, endTime: null, duration: 0 };
+        return { startTime, endTime, duration: endTime - startTime };
+    };
+
+    /**
+     * Returns the strokes as they looked `elapsed` milliseconds after the first point was captured.
+     * Strokes that had not started yet are omitted; the stroke in progress is cut at that moment.
+     */
+    const strokesAt = (strokes, elapsed) => {
+        const { startTime } = getTimeline(strokes);
+        if (startTime === null) return [];
+        const cutoff = startTime + elapsed;
+        const visible = [];
+        for (const stroke of strokes) {
+            if (stroke.points.length === 0 || stroke.points[0].time > cutoff) continue;
+            const count = stroke.points.findIndex(point => point.time > cutoff);
+            visible.push(count === -1 ? stroke : { ...stroke, points: stroke.points.slice(0, count) });
+        }
+        return visible;
+    };
+
+    const formatKeyTimes = (times) => times.map(time => +time.toFixed(4)).join(';');
+
+    /**
+     * Builds an SVG whose strokes are revealed with the original pen timing. Each outline is masked by
+     * its centreline, whose dash offset is animated with SMIL `keyTimes` taken from the point times.
+     * `speed` divides the playback time; `loop` repeats the animation after `loopDelay` milliseconds.
+     */
+    const toAnimatedSVG = (strokes, options = {}) => {
+        const settings = resolve(options);
+        const { speed = 1, loop = false, loopDelay = 1000 } = options;
+        const layout = getExportLayout(strokes, settings);
+        if (!layout) return '';
+        const { startTime, duration } = getTimeline(strokes);
+        const total = Math.max(duration + (loop ? loopDelay : 0), 1);
+        const dur = `${(total / speed / 1000).toFixed(3)}s`;
+        const repeat = loop ? 'indefinite' : '1';
+        const at = (time) => (time - startTime) / total;
+        let svgContent = openSvg(layout, settings);
+        let defs = '';
+        let paths = '';
+        strokes.forEach((stroke, index) => {
+            const { points, color, maxWidth } = stroke;
+            if (points.length === 0) return;
+            const finalPenColor = settings.outputPenColor ?? color;
+            const widths = getStrokeWidths(stroke, settings);
+            const pathData = segmentsToSvgPath(getOutlineSegments(points, widths, settings, getBrush(stroke.brush).cap));
+            if (!pathData) return;
+            const begin = at(points[0].time);
+            const reveal = `<animate attributeName="opacity" calcMode="discrete" values="0;1" keyTimes="${formatKeyTimes([0, begin])}" dur="${dur}" repeatCount="${repeat}" fill="freeze"/>`;
+            if (points.length === 1) {
+                paths += `    <path d="${pathData}" fill="${finalPenColor}" stroke="none" opacity="0">${reveal}</path>\n`;
+                return;
+            }
+            const lengths = [0];
+            for (let i = 1; i < points.length; i++) {
+                lengths.push(lengths[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+            }
+            const length = lengths[lengths.length - 1] || 1;
+            const keyTimes = [0, ...points.map(point => at(point.time)), 1];
+            const offsets = [1, ...lengths.map(value => 1 - value / length), 0];
+            const centreline = points.map((point, i) => `${i === 0 ? 'M' : 'L'}${point.x.toFixed(2)},${point.y.toFixed(2)}`).join(' ');
+            const maskWidth = (Math.max(maxWidth, settings.dotSize, ...widths) + 2).toFixed(2);
+            defs += `    <mask id="cz-reveal-${index}"><path d="${centreline}" pathLength="1" fill="none" stroke="#fff" stroke-width="${maskWidth}" stroke-linecap="round" stroke-linejoin="round" stroke-dasharray="1 1" stroke-dashoffset="1">`
+                + `<animate attributeName="stroke-dashoffset" values="${offsets.map(value => +value.toFixed(4)).join(';')}" keyTimes="${formatKeyTimes(keyTimes)}" dur="${dur}" repeatCount="${repeat}" fill="freeze"/>`
+                + '</path></mask>\n';
+            paths += `    <path d="${pathData}" fill="${finalPenColor}" stroke="none" mask="url(#cz-reveal-${index})" opacity="0">${reveal}</path>\n`;
+        });
+        svgContent += `  <defs>\n${defs}  </defs>\n`;
+        svgContent += `  <g fill-rule="nonzero">\n${paths}  </g>\n</svg>`;
+        return svgContent.trim();
+    };
+
+    /**
+     * Paints the background and all strokes onto `ctx` in logical units. The caller is responsible for
+     * sizing the target surface and applying any DPI scale beforehand.
+     */
+    const drawSignature = (ctx, strokes, options = {}, layout = getExportLayout(strokes, options)) => {
+        if (!layout) return null;
+        const settings = resolve(options);
+        const finalBgColor = settings.outputBackgroundColor ?? settings.backgroundColor;
+        if (finalBgColor !== 'transparent') {
+            ctx.fillStyle = finalBgColor;
+            ctx.fillRect(0, 0, layout.width, layout.height);
+        }
+        ctx.save();
+        ctx.translate(-layout.offsetX, -layout.offsetY);
+        if (settings.includeGuide && settings.guide) {
+            drawGuide(ctx, settings.guide, settings.width ?? layout.width, settings.height ?? layout.height);
+        }
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        strokes.forEach((stroke) => {
+            const finalPenColor = settings.outputPenColor ?? stroke.color;
+            paintStroke(ctx, stroke, finalPenColor, settings);
+        });
+        ctx.restore();
+        return layout;
+    };
+
+    /**
+     * Renders the signature at `options.dpi` onto a surface obtained from `createCanvas(width, height)`,
+     * e.g. `document.createElement`-based in the browser or the `canvas` package in Node.
+     */
+    const renderCanvas = (strokes, options, createCanvas) => {
+        const settings = resolve(options);
+        const layout = getExportLayout(strokes, settings);
+        if (!layout) return null;
+        const scale = settings.dpi / 96;
+        const canvas = createCanvas(Math.round(layout.width * scale), Math.round(layout.height * scale));
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+        drawSignature(ctx, strokes, settings, layout);
+        return canvas;
+    };
+
+    const PDF_NAMED_COLORS = {
+        black: '#000000', silver: '#c0c0c0', gray: '#808080', grey: '#808080', white: '#ffffff',
+        maroon: '#800000', red: '#ff0000', purple: '#800080', fuchsia: '#ff00ff', green: '#008000',
+        lime: '#00ff00', olive: '#808000', yellow: '#ffff00', navy: '#000080', blue: '#0000ff',
+        teal: '#008080', aqua: '#00ffff',
+    };
+    const PT_PER_UNIT = { pt: 1, mm: 72 / 25.4, px: 0.75 };
+
+    const pdfNumber = (value) => String(+value.toFixed(3));
+
+    // PDF has no CSS colour parser; hex, rgb()/rgba() and the basic named colours are supported. Alpha is ignored.
+    const toPdfColor = (color) => {
+        const value = String(PDF_NAMED_COLORS[String(color).toLowerCase()] || color).trim();
+        let rgb = null;
+        const hex = /^#([\da-f]{3}|[\da-f]{6})([\da-f]{2})?$/i.exec(value);
+        if (hex) {
+            const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+            rgb = [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+        }
+        const func = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/i.exec(value);
+        if (func) rgb = func.slice(1, 4).map(Number);
+        if (!rgb) throw new TypeError(`Unsupported color for PDF export: ${color}.`);
+        return rgb.map(channel => pdfNumber(Math.min(255, channel) / 255)).join(' ');
+    };
+
+    const pdfPathOperators = (segments) => {
+        const ops = [];
+        const k = 0.5523;
+        let current = { x: 0, y: 0 };
+        const curve = (x1, y1, x2, y2, x, y) => ops.push(`${[x1, y1, x2, y2, x, y].map(pdfNumber).join(' ')} c`);
+        // Quarter-circle Beziers from `from` around `centre`, turning by +90 degrees in screen space each time.
+        const arc = (centre, from, quarters) => {
+            let u = { x: from.x - centre.x, y: from.y - centre.y };
+            for (let i = 0; i < quarters; i++) {
+                const v = { x: -u.y, y: u.x };
+                curve(centre.x + u.x + k * v.x, centre.y + u.y + k * v.y,
+                    centre.x + v.x + k * u.x, centre.y + v.y + k * u.y,
+                    centre.x + v.x, centre.y + v.y);
+                u = v;
+            }
+        };
+        segments.forEach(([command, ...args]) => {
+            switch (command) {
+                case 'M':
+                    ops.push(`${pdfNumber(args[0])} ${pdfNumber(args[1])} m`);
+                    current = { x: args[0], y: args[1] };
+                    break;
+                case 'L':
+                    ops.push(`${pdfNumber(args[0])} ${pdfNumber(args[1])} l`);
+                    current = { x: args[0], y: args[1] };
+                    break;
+                case 'Q': {
+                    const [cx, cy, x, y] = args;
+                    curve(current.x + (cx - current.x) * 2 / 3, current.y + (cy - current.y) * 2 / 3,
+                        x + (cx - x) * 2 / 3, y + (cy - y) * 2 / 3, x, y);
+                    current = { x, y };
+                    break;
+                }
+                case 'A': {
+                    const [, x, y] = args;
+                    arc({ x: (current.x + x) / 2, y: (current.y + y) / 2 }, current, 2);
+                    current = { x, y };
+                    break;
+                }
+                case 'O': {
+                    const [x, y, r] = args;
+                    ops.push(`${pdfNumber(x + r)} ${pdfNumber(y)} m`);
+                    arc({ x, y }, { x: x + r, y }, 4);
+                    ops.push('h');
+                    break;
+                }
+                case 'Z':
+                    ops.push('h');
+                    break;
+            }
+        });
+        return ops.join('\n');
+    };
+
+    /**
+     * Builds the signature as PDF drawing operators, for placing into an existing PDF. Sizes and
+     * positions are in `options.pdfUnit` (`'pt'`, `'mm'` or `'px'`, default `'pt'`). Without
+     * `pdfWidth`/`pdfHeight` the box is the export layout at 96 px per inch; otherwise the signature
+     * is scaled to fit the box and centred. Returns `null` when there is nothing to export, else:
+     * - `content`: operators drawing into the box at (`pdfX`, `pdfY`), bottom-left origin, ready to
+     *   append to a page content stream;
+     * - `xobject`: a complete Form XObject (dictionary and stream) with its box at the origin, to be
+     *   written as an indirect object and painted with `q 1 0 0 1 x y cm /Name Do Q`;
+     * - `width` / `height`: the box size in points.
+     */
+    const toPDFContent = (strokes, options = {}) => {
+        const settings = resolve(options);
+        const layout = getExportLayout(strokes, settings);
+        if (!layout) return null;
+        const { pdfUnit = 'pt', pdfWidth = null, pdfHeight = null, pdfX = 0, pdfY = 0 } = options;
+        const unit = PT_PER_UNIT[pdfUnit];
+        if (!unit) throw new TypeError(`Unsupported PDF unit: ${pdfUnit}.`);
+        const boxWidth = pdfWidth === null ? layout.width * PT_PER_UNIT.px : pdfWidth * unit;
+        const boxHeight = pdfHeight === null ? layout.height * PT_PER_UNIT.px : pdfHeight * unit;
+        const scale = Math.min(boxWidth / layout.width, boxHeight / layout.height);
+        const marginX = (boxWidth - layout.width * scale) / 2;
+        const marginY = (boxHeight - layout.height * scale) / 2;
+
+        const body = [];
+        const finalBgColor = settings.outputBackgroundColor ?? settings.backgroundColor;
+        if (finalBgColor !== 'transparent') {
+            body.push(`${toPdfColor(finalBgColor)} rg`, `0 0 ${pdfNumber(boxWidth)} ${pdfNumber(boxHeight)} re f`);
+        }
+        // Flip to the top-left origin of the capture surface so the outline coordinates are used as-is.
+        body.push(`${[scale, 0, 0, -scale, marginX - layout.offsetX * scale, boxHeight - marginY + layout.offsetY * scale].map(pdfNumber).join(' ')} cm`);
+        strokes.forEach((stroke) => {
+            if (stroke.points.length === 0) return;
+            const operators = pdfPathOperators(getStrokeOutline(stroke, settings));
+            if (operators) body.push(`${toPdfColor(settings.outputPenColor ?? stroke.color)} rg`, operators, 'f');
+        });
+        const stream = `q\n${body.join('\n')}\nQ`;
+        return {
+            width: boxWidth,
+            height: boxHeight,
+            content: `q\n1 0 0 1 ${pdfNumber(pdfX * unit)} ${pdfNumber(pdfY * unit)} cm\n${stream}\nQ`,
+            xobject: `<< /Type /XObject /Subtype /Form /BBox [0 0 ${pdfNumber(boxWidth)} ${pdfNumber(boxHeight)}] /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+        };
+    };
+
+    /**
+     * Writes a single-page vector PDF whose page is the `toPDFContent()` box. Returns the file as a
+     * `Uint8Array`, or `null` when there is nothing to export.
+     */
+    const toPDF = (strokes, options = {}) => {
+        const pdf = toPDFContent(strokes, { ...options, pdfX: 0, pdfY: 0 });
+        if (!pdf) return null;
+        const mediaBox = `[0 0 ${pdfNumber(pdf.width)} ${pdfNumber(pdf.height)}]`;
+        const page = 'q /Sig Do Q';
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+            `<< /Type /Page /Parent 2 0 R /MediaBox ${mediaBox} /Resources << /XObject << /Sig 5 0 R >> >> /Contents 4 0 R >>`,
+            `<< /Length ${page.length} >>\nstream\n${page}\nendstream`,
+            pdf.xobject,
+            '<< /Producer (czSignature.js) >>',
+        ];
+        let file = '%PDF-1.4\n';
+        const offsets = objects.map((object, i) => {
+            const offset = file.length;
+            file += `${i + 1} 0 obj\n${object}\nendobj\n`;
+            return offset;
+        });
+        const xrefOffset = file.length;
+        file += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        file += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        file += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+        return Uint8Array.from(file, char => char.charCodeAt(0));
+    };
+
+    const FORMAT_VERSION = 2;
+    const COMPACT_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+    const SAFE_COLOR = /^[#\w(),.%\s-]+$/;
+    const SAFE_ID = /^[\w.:-]{1,64}$/;
+
+    let strokeCounter = 0;
+
+    const createStrokeId = () => {
+        const random = typeof crypto !== 'undefined' && crypto.randomUUID
+            ? crypto.randomUUID().slice(0, 8)
+            : Math.random().toString(36).slice(2, 10);
+        return `s-${Date.now().toString(36)}-${random}-${(strokeCounter++).toString(36)}`;
+    };
+
+    const isSafeColor = (color) => typeof color === 'string' && SAFE_COLOR.test(color);
+
+    const fail = (path, message) => {
+        throw new TypeError(`Invalid signature data: ${path} ${message}.`);
+    };
+
+    const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+    const readNumber = (value, path, { optional = false, min = -Infinity, max = Infinity } = {}) => {
+        if (value === undefined || value === null) {
+            if (optional) return null;
+            fail(path, 'is required');
+        }
+        if (!isFiniteNumber(value)) fail(path, 'must be a finite number');
+        if (value < min || value > max) fail(path, `must be between ${min} and ${max}`);
+        return value;
+    };
+
+    const normalizePoint = (point, path) => {
+        if (!point || typeof point !== 'object') fail(path, 'must be an object');
+        return {
+            x: readNumber(point.x, `${path}.x`),
+            y: readNumber(point.y, `${path}.y`),
+            time: readNumber(point.time, `${path}.time`),
+            pressure: readNumber(point.pressure, `${path}.pressure`, { optional: true, min: 0, max: 1 }) ?? 0.5,
+        };
+    };
+
+    const normalizeStroke = (stroke, path) => {
+        if (!stroke || typeof stroke !== 'object') fail(path, 'must be an object');
+        if (!Array.isArray(stroke.points) || stroke.points.length === 0) fail(`${path}.points`, 'must be a non-empty array');
+        if (!isSafeColor(stroke.color)) fail(`${path}.color`, 'must be a CSS color string');
+        if (stroke.id !== undefined && (typeof stroke.id !== 'string' || !SAFE_ID.test(stroke.id))) fail(`${path}.id`, 'must be a string of up to 64 letters, digits, "_", ".", ":" or "-"');
+        const minWidth = readNumber(stroke.minWidth, `${path}.minWidth`, { min: 0 });
+        const maxWidth = readNumber(stroke.maxWidth, `${path}.maxWidth`, { min: minWidth });
+        const points = stroke.points.map((point, index) => normalizePoint(point, `${path}.points[${index}]`));
+        if (stroke.pointerType !== undefined && (typeof stroke.pointerType !== 'string' || !/^[a-z]{0,16}$/.test(stroke.pointerType))) {
+            fail(`${path}.pointerType`, 'must be a pointer type such as "mouse", "pen" or "touch"');
+        }
+        if (stroke.brush !== undefined && (typeof stroke.brush !== 'string' || !BRUSH_NAME.test(stroke.brush))) {
+            fail(`${path}.brush`, 'must be a brush name such as "fountain" or "calligraphy"');
+        }
+        const nibAngle = readNumber(stroke.nibAngle, `${path}.nibAngle`, { optional: true, min: -360, max: 360 });
+        const normalized = { id: stroke.id ?? createStrokeId(), points, color: stroke.color, minWidth, maxWidth };
+        if (stroke.pointerType !== undefined) normalized.pointerType = stroke.pointerType;
+        if (stroke.brush !== undefined) normalized.brush = stroke.brush;
+        if (nibAngle !== null) normalized.nibAngle = nibAngle;
+        return normalized;
+    };
+
+    const encodeNumber = (value) => {
+        if (!Number.isSafeInteger(value)) throw new TypeError(`Compact encoding requires integer values, got ${value}.`);
+        let zigzag = value < 0 ? (-value * 2) - 1 : value * 2;
+        let encoded = '';
+        do {
+            let chunk = zigzag % 32;
+            zigzag = Math.floor(zigzag / 32);
+            if (zigzag > 0) chunk += 32;
+            encoded += COMPACT_ALPHABET[chunk];
+        } while (zigzag > 0);
+        return encoded;
+    };
+
+    const decodeNumbers = (encoded, path) => {
+        const values = [];
+        let zigzag = 0, factor = 1;
+        for (let i = 0; i < encoded.length; i++) {
+            const chunk = COMPACT_ALPHABET.indexOf(encoded[i]);
+            if (chunk === -1) fail(path, `contains an invalid character at offset ${i}`);
+            zigzag += (chunk % 32) * factor;
+            factor *= 32;
+            if (chunk < 32) {
+                values.push(zigzag % 2 ? -(zigzag + 1) / 2 : zigzag / 2);
+                zigzag = 0;
+                factor = 1;
+            }
+        }
+        if (factor !== 1) fail(path, 'is truncated');
+        return values;
+    };
+
+    const encodePoints = (points, startTime, precision) => {
+        const scale = Math.pow(10, precision);
+        let last = [0, 0, startTime, 0];
+        return points.map((point) => {
+            const current = [Math.round(point.x * scale), Math.round(point.y * scale), Math.round(point.time), Math.round(point.pressure * 100)];
+            const encoded = current.map((value, index) => encodeNumber(value - last[index])).join('');
+            last = current;
+            return encoded;
+        }).join('');
+    };
+
+    const decodePoints = (encoded, startTime, precision, path) => {
+        if (typeof encoded !== 'string') fail(path, 'must be an encoded string');
+        const values = decodeNumbers(encoded, path);
+        if (values.length === 0 || values.length % 4 !== 0) fail(path, 'has an invalid number of values');
+        const scale = Math.pow(10, precision);
+        const points = [];
+        let last = [0, 0, startTime, 0];
+        for (let i = 0; i < values.length; i += 4) {
+            last = last.map((value, index) => value + values[i + index]);
+            points.push({ x: last[0] / scale, y: last[1] / scale, time: last[2], pressure: last[3] / 100 });
+        }
+        return points;
+    };
+
+    /**
+     * Wraps strokes in the versioned envelope produced by `czSignature#toData()`. `meta` carries the
+     * logical `width`/`height` and `devicePixelRatio` of the capture surface.
+     */
+    const createEnvelope = (strokes, meta = {}) => {
+        const firstPoint = strokes.find(stroke => stroke.points.length > 0)?.points[0];
+        return {
+            version: FORMAT_VERSION,
+            width: meta.width ?? null,
+            height: meta.height ?? null,
+            devicePixelRatio: meta.devicePixelRatio ?? 1,
+            startTime: firstPoint ? firstPoint.time : null,
+            strokes: strokes.map(stroke => ({ ...stroke, points: stroke.points.map(point => ({ ...point })) })),
+        };
+    };
+
+    /**
+     * Quantizes and delta-encodes every point into a compact string. `precision` is the number of
+     * decimal places kept for coordinates; time is kept in whole milliseconds, pressure in hundredths.
+     */
+    const encodeCompact = (envelope, { precision = 1 } = {}) => {
+        const { strokes, ...header } = envelope;
+        // The baseline is quantized like the point times, so the first delta is a whole number too.
+        const startTime = Math.round(header.startTime ?? 0);
+        return JSON.stringify({
+            ...header,
+            startTime: header.startTime === null || header.startTime === undefined ? header.startTime : startTime,
+            encoding: 'compact',
+            precision,
+            strokes: strokes.map(stroke => ({ ...stroke, points: encodePoints(stroke.points, startTime, precision) })),
+        });
+    };
+
+    /**
+     * Validates any supported payload and returns a normalized, current-version envelope. Accepts the
+     * legacy bare stroke array, the versioned envelope and its compact string/object form. Throws a
+     * `TypeError` describing the first problem found.
+     */
+    const parseData = (data) => {
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (e) {
+                fail('payload', 'is not valid JSON');
+            }
+        }
+        if (Array.isArray(data)) {
+            data = { version: 1, strokes: data };
+        }
+        if (!data || typeof data !== 'object') fail('payload', 'must be an array, an object or a JSON string');
+        const version = readNumber(data.version, 'version', { min: 1 });
+        if (version > FORMAT_VERSION) fail('version', `${version} is newer than the supported version ${FORMAT_VERSION}`);
+        if (!Array.isArray(data.strokes)) fail('strokes', 'must be an array');
+        const width = readNumber(data.width, 'width', { optional: true, min: 0 });
+        const height = readNumber(data.height, 'height', { optional: true, min: 0 });
+        const devicePixelRatio = readNumber(data.devicePixelRatio, 'devicePixelRatio', { optional: true, min: 0 }) ?? 1;
+        let startTime = readNumber(data.startTime, 'startTime', { optional: true });
+        let strokes = data.strokes;
+        if (data.encoding === 'compact') {
+            const precision = readNumber(data.precision, 'precision', { min: 0, max: 6 });
+            strokes = strokes.map((stroke, index) => {
+                if (!stroke || typeof stroke !== 'object') fail(`strokes[${index}]`, 'must be an object');
+                return { ...stroke, points: decodePoints(stroke.points, startTime ?? 0, precision, `strokes[${index}].points`) };
+            });
+        } else if (data.encoding !== undefined) {
+            fail('encoding', `"${data.encoding}" is not supported`);
+        }
+        strokes = strokes.map((stroke, index) => normalizeStroke(stroke, `strokes[${index}]`));
+        const ids = new Set();
+        strokes.forEach((stroke, index) => {
+            if (ids.has(stroke.id)) fail(`strokes[${index}].id`, `"${stroke.id}" is used by more than one stroke`);
+            ids.add(stroke.id);
+        });
+        if (startTime === null && strokes.length > 0) startTime = strokes[0].points[0].time;
+        return { version: FORMAT_VERSION, width, height, devicePixelRatio, startTime, strokes };
+    };
+
+    /**
+     * Uniformly scales strokes captured on a `from` surface so they fit and are centred on a `to`
+     * surface. Pen widths are scaled by the same factor.
+     */
+    const fitStrokes = (strokes, from, to) => {
+        const hasArea = (surface) => surface && surface.width > 0 && surface.height > 0;
+        if (!hasArea(from) || !hasArea(to)) throw new TypeError('fitStrokes requires surfaces with a positive width and height.');
+        const scale = Math.min(to.width / from.width, to.height / from.height);
+        const offsetX = (to.width - from.width * scale) / 2;
+        const offsetY = (to.height - from.height * scale) / 2;
+        return strokes.map(stroke => ({
+            ...stroke,
+            minWidth: stroke.minWidth * scale,
+            maxWidth: stroke.maxWidth * scale,
+            points: stroke.points.map(point => ({ ...point, x: point.x * scale + offsetX, y: point.y * scale + offsetY })),
+        }));
+    };
+
+    const mean = (values) => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+
+    const stdDev = (values) => {
+        const average = mean(values);
+        return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+    };
+
+    const summarize = (values) => ({
+        mean: mean(values),
+        stdDev: stdDev(values),
+        min: values.length ? Math.min(...values) : 0,
+        max: values.length ? Math.max(...values) : 0,
+    });
+
+    // Averages `samples` ({ time, value }) into `bins` equal slices of pen-down time.
+    const profile = (samples, bins) => {
+        if (samples.length === 0) return new Array(bins).fill(0);
+        const sums = new Array(bins).fill(0), counts = new Array(bins).fill(0);
+        const total = samples[samples.length - 1].time || 1;
+        samples.forEach(({ time, value }) => {
+            const bin = Math.min(bins - 1, Math.floor(time / total * bins));
+            sums[bin] += value;
+            counts[bin]++;
+        });
+        let last = samples[0].value;
+        return sums.map((sum, i) => (last = counts[i] ? sum / counts[i] : last));
+    };
+
+    /**
+     * Derives dynamic (online) signature features from captured strokes: timing, pen-up/pen-down
+     * counts, velocity and pressure profiles, geometry and a length-weighted direction histogram.
+     * Velocities are in px/ms; profiles are sampled over pen-down time into `bins` slices.
+     */
+    const extractFeatures = (strokes, { bins = 20, directions = 8 } = {}) => {
+        const { duration } = getTimeline(strokes);
+        const velocities = [], pressures = [];
+        const histogram = new Array(directions).fill(0);
+        let penDownDuration = 0, pathLength = 0, pointCount = 0, minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        strokes.forEach(stroke => {
+            const { points } = stroke;
+            pointCount += points.length;
+            points.forEach((point, i) => {
+                minX = Math.min(minX, point.x);
+                maxX = Math.max(maxX, point.x);
+                minY = Math.min(minY, point.y);
+                maxY = Math.max(maxY, point.y);
+                pressures.push({ time: penDownDuration + point.time - points[0].time, value: point.pressure });
+                if (i === 0) return;
+                const dx = point.x - points[i - 1].x, dy = point.y - points[i - 1].y;
+                const distance = Math.hypot(dx, dy);
+                const dt = point.time - points[i - 1].time;
+                pathLength += distance;
+                if (dt > 0) velocities.push({ time: penDownDuration + point.time - points[0].time, value: distance / dt });
+                if (distance > 0) {
+                    const angle = (Math.atan2(dy, dx) + Math.PI * 2) % (Math.PI * 2);
+                    histogram[Math.floor(angle / (Math.PI * 2) * directions) % directions] += distance;
+                }
+            });
+            if (points.length > 0) penDownDuration += points[points.length - 1].time - points[0].time;
+        });
+        const width = pointCount ? maxX - minX : 0;
+        const height = pointCount ? maxY - minY : 0;
+        return {
+            duration,
+            penDownDuration,
+            penUpDuration: Math.max(0, duration - penDownDuration),
+            penDownCount: strokes.length,
+            penUpCount: Math.max(0, strokes.length - 1),
+            pointCount,
+            pathLength,
+            width,
+            height,
+            aspectRatio: height > 0 ? width / height : 0,
+            velocity: { ...summarize(velocities.map(sample => sample.value)), profile: profile(velocities, bins) },
+            pressure: { ...summarize(pressures.map(sample => sample.value)), profile: profile(pressures, bins) },
+            directionHistogram: histogram.map(value => pathLength > 0 ? value / pathLength : 0),
+        };
+    };
+
+    // Flattens strokes into one time series with position normalized to the centroid and RMS radius,
+    // and velocity normalized by the mean pen speed, so neither placement, size nor tempo matter.
+    const toNormalizedSeries = (strokes, samples) => {
+        const series = [];
+        strokes.forEach(stroke => stroke.points.forEach((point, i) => {
+            const prev = stroke.points[i - 1];
+            const dt = prev ? point.time - prev.time : 0;
+            series.push({
+                x: point.x,
+                y: point.y,
+                vx: prev && dt > 0 ? (point.x - prev.x) / dt : 0,
+                vy: prev && dt > 0 ? (point.y - prev.y) / dt : 0,
+                pressure: point.pressure,
+            });
+        }));
+        if (series.length === 0) return series;
+        const cx = mean(series.map(p => p.x)), cy = mean(series.map(p => p.y));
+        const radius = Math.sqrt(mean(series.map(p => (p.x - cx) ** 2 + (p.y - cy) ** 2))) || 1;
+        const speed = mean(series.map(p => Math.hypot(p.vx, p.vy))) || 1;
+        const step = Math.max(1, series.length / samples);
+        const sampled = [];
+        for (let i = 0; i < series.length; i += step) {
+            const p = series[Math.floor(i)];
+            sampled.push({ x: (p.x - cx) / radius, y: (p.y - cy) / radius, vx: p.vx / speed, vy: p.vy / speed, pressure: p.pressure });
+        }
+        return sampled;
+    };
+
+    // Dynamic time warping constrained to a Sakoe-Chiba band; returns the mean cost along the path.
+    const dtw = (a, b, cost, band) => {
+        const n = a.length, m = b.length;
+        const window = Math.max(band, Math.abs(n - m));
+        let previous = new Array(m + 1).fill(Infinity), current = new Array(m + 1);
+        let previousSteps = new Array(m + 1).fill(0), currentSteps = new Array(m + 1);
+        previous[0] = 0;
+        for (let i = 1; i <= n; i++) {
+            current.fill(Infinity);
+            currentSteps.fill(0);
+            const from = Math.max(1, i - window), to = Math.min(m, i + window);
+            for (let j = from; j <= to; j++) {
+                let best = previous[j - 1], steps = previousSteps[j - 1];
+                if (previous[j] < best) { best = previous[j]; steps = previousSteps[j]; }
+                if (current[j - 1] < best) { best = current[j - 1]; steps = currentSteps[j - 1]; }
+                current[j] = cost(a[i - 1], b[j - 1]) + best;
+                currentSteps[j] = steps + 1;
+            }
+            [previous, current] = [current, previous];
+            [previousSteps, currentSteps] = [currentSteps, previousSteps];
+        }
+        return previous[m] / (previousSteps[m] || 1);
+    };
+
+    const ratio = (a, b) => (a === b ? 1 : Math.min(a, b) / Math.max(a, b)) || 0;
+
+    /**
+     * Scores how similar two signatures are, from 0 (unrelated) to 1 (identical). The time series of
+     * both are aligned with DTW after normalizing position, scale and tempo; global features such as
+     * duration, stroke count and aspect ratio are blended in with `globalWeight`.
+     */
+    const compare = (strokesA, strokesB, options = {}) => {
+        const {
+            samples = 128,
+            band = 0.2,
+            positionWeight = 1,
+            velocityWeight = 0.5,
+            pressureWeight = 0,
+            globalWeight = 0.3,
+            tolerance = 0.35,
+        } = options;
+        const seriesA = toNormalizedSeries(strokesA, samples);
+        const seriesB = toNormalizedSeries(strokesB, samples);
+        if (seriesA.length === 0 || seriesB.length === 0) {
+            return { score: 0, distance: Infinity, shapeScore: 0, globalScore: 0 };
+        }
+        const cost = (p, q) => positionWeight * Math.hypot(p.x - q.x, p.y - q.y)
+            + velocityWeight * Math.hypot(p.vx - q.vx, p.vy - q.vy)
+            + pressureWeight * Math.abs(p.pressure - q.pressure);
+        const distance = dtw(seriesA, seriesB, cost, Math.ceil(band * Math.max(seriesA.length, seriesB.length)));
+        const shapeScore = Math.exp(-distance / tolerance);
+        const featuresA = extractFeatures(strokesA), featuresB = extractFeatures(strokesB);
+        const globalScore = mean([
+            ratio(featuresA.duration, featuresB.duration),
+            ratio(featuresA.penDownCount, featuresB.penDownCount),
+            ratio(featuresA.aspectRatio, featuresB.aspectRatio),
+            1 - featuresA.directionHistogram.reduce((sum, value, i) => sum + Math.abs(value - featuresB.directionHistogram[i]), 0) / 2,
+        ]);
+        return {
+            score: shapeScore * (1 - globalWeight) + globalScore * globalWeight,
+            distance,
+            shapeScore,
+            globalScore,
+        };
+    };
+
+    /**
+     * Checks strokes against declarative acceptance rules. Bounding-box rules are fractions of the
+     * capture surface (`surface.width`/`surface.height`); durations are in milliseconds. Unset (`null`)
+     * rules are skipped. Returns `{ valid, failures }` where each failure names the `rule`, its `limit`
+     * and the `actual` value.
+     */
+    const validateStrokes = (strokes, rules = {}, surface = {}) => {
+        if (strokes.length === 0) {
+            return { valid: false, failures: [{ rule: 'empty', limit: null, actual: 0 }] };
+        }
+        const features = extractFeatures(strokes);
+        const actual = {
+            minStrokes: strokes.length,
+            minPathLength: features.pathLength,
+            minBoundingWidth: surface.width ? features.width / surface.width : null,
+            minBoundingHeight: surface.height ? features.height / surface.height : null,
+            minDuration: features.duration,
+            maxDuration: features.duration,
+            maxSinglePointStrokes: strokes.filter(stroke => stroke.points.length === 1).length,
+        };
+        const failures = [];
+        Object.keys(actual).forEach(rule => {
+            const limit = rules[rule];
+            if (limit === null || limit === undefined || actual[rule] === null) return;
+            const passed = rule.startsWith('min') ? actual[rule] >= limit : actual[rule] <= limit;
+            if (!passed) failures.push({ rule, limit, actual: actual[rule] });
+        });
+        return { valid: failures.length === 0, failures };
+    };
+
+    const ISO_FORMAT_IDENTIFIER = [0x53, 0x44, 0x49, 0x00];
+    const ISO_VERSION = [0x30, 0x32, 0x30, 0x00];
+    const ISO_CHANNELS = ['X', 'Y', 'Z', 'VX', 'VY', 'AX', 'AY', 'T', 'DT', 'F', 'S', 'TX', 'TY', 'A', 'E', 'R'];
+    const ISO_PREAMBLE = { scaling: 0x80, min: 0x40, max: 0x20, average: 0x10, stdDev: 0x08 };
+    const ISO_COORDINATE_OFFSET = 32768;
+    const PX_PER_MM = 96 / 25.4;
+
+    // Scaling values are stored as a 5-bit exponent (bias 16) and an 11-bit mantissa:
+    // value = 2^(E - 16) * (1 + M / 2048).
+    const encodeIsoScaling = (value) => {
+        let exponent = Math.floor(Math.log2(value));
+        let mantissa = Math.round((value / Math.pow(2, exponent) - 1) * 2048);
+        if (mantissa === 2048) {
+            exponent++;
+            mantissa = 0;
+        }
+        return ((exponent + 16) << 11) | mantissa;
+    };
+
+    const decodeIsoScaling = (raw) => Math.pow(2, (raw >> 11) - 16) * (1 + (raw & 0x7ff) / 2048);
+
+    const createByteWriter = () => {
+        const bytes = [];
+        return {
+            bytes,
+            u8: (value) => bytes.push(value & 0xff),
+            u16: (value) => bytes.push((value >> 8) & 0xff, value & 0xff),
+            u32: (value) => bytes.push((value >>> 24) & 0xff, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff),
+            raw: (values) => values.forEach(value => bytes.push(value)),
+            patchU32: (offset, value) => bytes.splice(offset, 4, (value >>> 24) & 0xff, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff),
+        };
+    };
+
+    const createByteReader = (bytes) => {
+        let offset = 0;
+        const need = (count) => {
+            if (offset + count > bytes.length) fail('ISO/IEC 19794-7 record', `is truncated at byte ${offset}`);
+        };
+        return {
+            get offset() { return offset; },
+            u8: () => { need(1); return bytes[offset++]; },
+            u16: () => { need(2); const value = (bytes[offset] << 8) | bytes[offset + 1]; offset += 2; return value; },
+            u32: () => { need(4); const value = ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3]; offset += 4; return value; },
+            raw: (count) => { need(count); const values = Array.from(bytes.slice(offset, offset + count)); offset += count; return values; },
+        };
+    };
+
+    /**
+     * Encodes a signature envelope as an ISO/IEC 19794-7 full format record (version 2.0) and returns
+     * its bytes. Layout, all integers big-endian:
+     *
+     * - General header: format identifier "SDI\0", version "020\0", record length (4), number of
+     *   representations (2) = 1, certification flag (1) = 0.
+     * - Representation header: representation length (4), capture date and time in UTC (9: year 2,
+     *   month, day, hour, minute, second, millisecond 2), capture device technology (1), vendor (2)
+     *   and type (2) identifiers, number of quality blocks (1) = 0.
+     * - Channel inclusion field (2, X = MSB) with X, Y, T, F and S, followed by one description per
+     *   channel: a preamble byte (0x80 = scaling value present) and the 2-byte scaling value. X/Y are in
+     *   units per millimetre (96 px = 1 inch), T in units per second.
+     * - Number of sample points (4) and the samples: 2 bytes per channel. X/Y carry an offset of 32768,
+     *   T is the time since the capture date, F the pressure scaled to 0-65535 and S the tip switch.
+     *   A pen-up sample (S = 0) separates consecutive strokes.
+     * - Extended data length (2) = 0.
+     *
+     * `precision` is the number of decimal places kept for coordinates (0-2).
+     */
+    const encodeISO19794 = (envelope, { precision = 1, technology = 0, vendor = 0, deviceType = 0 } = {}) => {
+        const { strokes } = envelope;
+        const { startTime, duration } = getTimeline(strokes);
+        if (startTime === null) fail('strokes', 'must contain at least one point to be exported');
+        const coordinateScale = Math.pow(10, precision);
+        // Milliseconds when they fit in 16 bits, otherwise the finest power-of-two unit that does;
+        // both are exactly representable as scaling values.
+        const timeUnitsPerSecond = duration <= 65535 ? 1000 : Math.pow(2, Math.floor(Math.log2(65535000 / duration)));
+        const samples = [];
+        strokes.forEach((stroke, index) => {
+            stroke.points.forEach(point => samples.push({ ...point, tip: 1 }));
+            const last = stroke.points[stroke.points.length - 1];
+            if (index < strokes.length - 1 && last) samples.push({ ...last, tip: 0 });
+        });
+        const writer = createByteWriter();
+        writer.raw(ISO_FORMAT_IDENTIFIER);
+        writer.raw(ISO_VERSION);
+        writer.u32(0);
+        writer.u16(1);
+        writer.u8(0);
+        const representationStart = writer.bytes.length;
+        writer.u32(0);
+        const date = new Date(startTime);
+        writer.u16(date.getUTCFullYear());
+        writer.u8(date.getUTCMonth() + 1);
+        writer.u8(date.getUTCDate());
+        writer.u8(date.getUTCHours());
+        writer.u8(date.getUTCMinutes());
+        writer.u8(date.getUTCSeconds());
+        writer.u16(date.getUTCMilliseconds());
+        writer.u8(technology);
+        writer.u16(vendor);
+        writer.u16(deviceType);
+        writer.u8(0);
+        const channels = ['X', 'Y', 'T', 'F', 'S'];
+        writer.u16(channels.reduce((field, channel) => field | (0x8000 >> ISO_CHANNELS.indexOf(channel)), 0));
+        const scaling = { X: PX_PER_MM * coordinateScale, Y: PX_PER_MM * coordinateScale, T: timeUnitsPerSecond };
+        channels.forEach(channel => {
+            if (scaling[channel]) {
+                writer.u8(ISO_PREAMBLE.scaling);
+                writer.u16(encodeIsoScaling(scaling[channel]));
+            } else {
+                writer.u8(0);
+            }
+        });
+        // Store with the scaling the reader will see, so round-tripping is exact up to quantization.
+        const coordinateFactor = decodeIsoScaling(encodeIsoScaling(scaling.X)) / PX_PER_MM;
+        const timeFactor = decodeIsoScaling(encodeIsoScaling(scaling.T)) / 1000;
+        const toCoordinate = (value, path) => {
+            const stored = Math.round(value * coordinateFactor) + ISO_COORDINATE_OFFSET;
+            if (stored < 0 || stored > 65535) fail(path, 'is outside the range that can be encoded at this precision');
+            return stored;
+        };
+        writer.u32(samples.length);
+        samples.forEach((sample, index) => {
+            writer.u16(toCoordinate(sample.x, `samples[${index}].x`));
+            writer.u16(toCoordinate(sample.y, `samples[${index}].y`));
+            writer.u16(Math.min(65535, Math.round((sample.time - startTime) * timeFactor)));
+            writer.u16(Math.round(sample.pressure * 65535));
+            writer.u16(sample.tip);
+        });
+        writer.u16(0);
+        writer.patchU32(8, writer.bytes.length);
+        writer.patchU32(representationStart, writer.bytes.length - representationStart);
+        return Uint8Array.from(writer.bytes);
+    };
+
+    /**
+     * Decodes the first representation of an ISO/IEC 19794-7 full format record into a signature
+     * envelope. Records must contain the X and Y channels; T (or DT), F and S are used when present.
+     * The format has no notion of colour or pen width, so `style` supplies `color`, `minWidth` and
+     * `maxWidth` for every stroke.
+     */
+    const decodeISO19794 = (bytes, style = {}) => {
+        const { penColor: color, minWidth, maxWidth } = resolve(style);
+        const reader = createByteReader(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
+        if (reader.raw(4).join() !== ISO_FORMAT_IDENTIFIER.join()) fail('ISO/IEC 19794-7 record', 'has an invalid format identifier');
+        const version = reader.raw(4);
+        if (version[0] !== 0x30 || version[1] !== 0x32) fail('ISO/IEC 19794-7 record', `version "${String.fromCharCode(...version.slice(0, 3))}" is not supported`);
+        reader.u32();
+        if (reader.u16() < 1) fail('ISO/IEC 19794-7 record', 'contains no representation');
+        const certified = reader.u8() !== 0;
+        reader.u32();
+        const date = Date.UTC(reader.u16(), reader.u8() - 1, reader.u8(), reader.u8(), reader.u8(), reader.u8(), reader.u16());
+        reader.raw(5);
+        reader.raw(reader.u8() * 5);
+        if (certified) reader.raw(reader.u8() * 3);
+        const inclusion = reader.u16();
+        const channels = ISO_CHANNELS.filter((channel, index) => inclusion & (0x8000 >> index));
+        if (!channels.includes('X') || !channels.includes('Y')) fail('ISO/IEC 19794-7 record', 'must include the X and Y channels');
+        const scaling = {};
+        channels.forEach(channel => {
+            const preamble = reader.u8();
+            if (preamble & ISO_PREAMBLE.scaling) scaling[channel] = decodeIsoScaling(reader.u16());
+            ['min', 'max', 'average', 'stdDev'].forEach(field => {
+                if (preamble & ISO_PREAMBLE[field]) reader.u16();
+            });
+        });
+        const coordinateFactor = (scaling.X ?? PX_PER_MM) / PX_PER_MM;
+        const coordinateFactorY = (scaling.Y ?? PX_PER_MM) / PX_PER_MM;
+        const timeFactor = (scaling.T ?? scaling.DT ?? 1000) / 1000;
+        const count = reader.u32();
+        const strokes = [];
+        let current = null, elapsed = 0;
+        for (let i = 0; i < count; i++) {
+            const sample = {};
+            channels.forEach(channel => { sample[channel] = reader.u16(); });
+            elapsed = sample.T !== undefined ? sample.T / timeFactor : elapsed + (sample.DT ?? 0) / timeFactor;
+            if (sample.S === 0) {
+                current = null;
+                continue;
+            }
+            if (!current) {
+                current = { points: [], color, minWidth, maxWidth };
+                strokes.push(current);
+            }
+            current.points.push({
+                x: (sample.X - ISO_COORDINATE_OFFSET) / coordinateFactor,
+                y: (sample.Y - ISO_COORDINATE_OFFSET) / coordinateFactorY,
+                time: date + Math.round(elapsed),
+                pressure: sample.F !== undefined ? sample.F / 65535 : 0.5,
+            });
+        }
+        return createEnvelope(strokes);
+    };
+
+    const PACKAGE_FORMAT = 'czSignature-package';
+    const SIGNING_ALGORITHMS = {
+        ECDSA: { label: 'ECDSA-SHA256', params: { name: 'ECDSA', hash: 'SHA-256' } },
+        HMAC: { label: 'HMAC-SHA256', params: { name: 'HMAC' } },
+    };
+
+    const getSubtle = () => {
+        if (typeof crypto === 'undefined' || !crypto.subtle) {
+            throw new Error('Signing requires WebCrypto (crypto.subtle), which is only available in secure contexts.');
+        }
+        return crypto.subtle;
+    };
+
+    const toHex = (buffer) => {
+        const bytes = ArrayBuffer.isView(buffer) ? new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength) : new Uint8Array(buffer);
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    };
+
+    const fromHex = (hex) => {
+        if (typeof hex !== 'string' || !/^(?:[\da-f]{2})*$/i.test(hex)) return null;
+        return Uint8Array.from(hex.match(/../g) || [], pair => parseInt(pair, 16));
+    };
+
+    // JSON with object keys sorted at every level, so that equal data always produces equal bytes.
+    const canonicalize = (value) => {
+        if (Array.isArray(value)) return `[${value.map(item => (item === undefined ? 'null' : canonicalize(item))).join(',')}]`;
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value ?? null);
+    };
+
+    const getSigningAlgorithm = (key) => {
+        const algorithm = key && key.algorithm && SIGNING_ALGORITHMS[key.algorithm.name];
+        if (!algorithm) throw new TypeError('Signing key must be an ECDSA or HMAC CryptoKey.');
+        return algorithm;
+    };
+
+    /**
+     * Wraps `toData()` output with capture metadata and the document it was signed for, and signs the
+     * canonical JSON of that payload with `key` (an ECDSA private key or an HMAC key). `documentHash`
+     * is a hex string or the raw digest bytes. Resolves to a plain, JSON-serializable package.
+     */
+    const createSignedPackage = async (envelope, { documentHash, signerInfo = null, key, capture = {} } = {}) => {
+        const subtle = getSubtle();
+        const algorithm = getSigningAlgorithm(key);
+        const hash = typeof documentHash === 'string' ? documentHash.toLowerCase() : documentHash ? toHex(documentHash) : '';
+        if (!hash || !fromHex(hash)) throw new TypeError('documentHash must be a hex string or the digest bytes.');
+        const { startTime, endTime } = getTimeline(envelope.strokes);
+        const payload = {
+            format: PACKAGE_FORMAT,
+            library: { name: 'czSignature.js', version: VERSION },
+            documentHash: hash,
+            signerInfo,
+            capture: {
+                signedAt: new Date().toISOString(),
+                startTime,
+                endTime,
+                width: envelope.width,
+                height: envelope.height,
+                devicePixelRatio: envelope.devicePixelRatio,
+                pointerTypes: [...new Set(envelope.strokes.map(stroke => stroke.pointerType).filter(Boolean))],
+                ...capture,
+            },
+            data: envelope,
+        };
+        const bytes = new TextEncoder().encode(canonicalize(payload));
+        const digest = await subtle.digest('SHA-256', bytes);
+        const signature = await subtle.sign(algorithm.params, key, bytes);
+        return {
+            payload,
+            digest: { algorithm: 'SHA-256', value: toHex(digest) },
+            signature: { algorithm: algorithm.label, value: toHex(signature) },
+        };
+    };
+
+    // Accepts a package object, its JSON, or an SVG exported with `signedPackage`.
+    const readSignedPackage = (input) => {
+        if (typeof input !== 'string') return input;
+        const metadata = new RegExp(`<metadata id="${SIGNED_PACKAGE_ID}">([^<]*)</metadata>`).exec(input);
+        const json = metadata
+            ? metadata[1].replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+            : input;
+        try {
+            return JSON.parse(json);
+        } catch (error) {
+            return null;
+        }
+    };
+
+    /**
+     * Checks a signed package against the verification key (the ECDSA public key or the HMAC key).
+     * Resolves to `{ valid, reason, payload }`, where `reason` is `null` or one of `'format'`,
+     * `'algorithm'`, `'digest'` and `'signature'`. Any change to the strokes or metadata fails.
+     */
+    const verifySignedPackage = async (input, key) => {
+        const subtle = getSubtle();
+        const algorithm = getSigningAlgorithm(key);
+        const signedPackage = readSignedPackage(input);
+        const { payload, digest, signature } = signedPackage || {};
+        const fail = (reason) => ({ valid: false, reason, payload: payload ?? null });
+        if (!payload || payload.format !== PACKAGE_FORMAT || !digest || !signature) return fail('format');
+        const signatureBytes = fromHex(signature.value);
+        if (!signatureBytes) return fail('format');
+        if (signature.algorithm !== algorithm.label || digest.algorithm !== 'SHA-256') return fail('algorithm');
+        const bytes = new TextEncoder().encode(canonicalize(payload));
+        if (toHex(await subtle.digest('SHA-256', bytes)) !== digest.value) return fail('digest');
+        if (!(await subtle.verify(algorithm.params, key, signatureBytes, bytes))) return fail('signature');
+        return { valid: true, reason: null, payload };
+    };
+
+    const czSignatureCore = {
+        VERSION,
+        DEFAULTS,
+        filterByDistance,
+        smoothStroke,
+        simplifyStroke,
+        calculateWidths,
+        calculateBoundingBox,
+        registerBrush,
+        getStrokeWidths,
+        getStrokeOutline,
+        getOutlineSegments,
+        generateSmoothSvgPathData,
+        drawStroke,
+        paintStroke,
+        GUIDE_DEFAULTS,
+        drawGuide,
+        guideToSVG,
+        getExportLayout,
+        toSVG,
+        drawSignature,
+        renderCanvas,
+        toPDFContent,
+        toPDF,
+        FORMAT_VERSION,
+        createEnvelope,
+        encodeCompact,
+        parseData,
+        fitStrokes,
+        getTimeline,
+        strokesAt,
+        toAnimatedSVG,
+        extractFeatures,
+        compare,
+        validateStrokes,
+        encodeISO19794,
+        decodeISO19794,
+        createStrokeId,
+        isSafeColor,
+        hitTestStroke,
+        findStrokeAt,
+        canonicalize,
+        createSignedPackage,
+        verifySignedPackage,
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = czSignatureCore;
+    } else {
+        global.czSignatureCore = czSignatureCore;
+    }
+
+})(typeof globalThis !== 'undefined' ? globalThis : typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,58 @@
+/**
+ * czSignatureCore.mjs - v1.1
+ * ES module entry point for the czSignature.js rendering core.
+ *
+ * Copyright (c) 2025 Cyberzilla
+ * MIT License
+ */
+import * as commonJs from './czSignatureCore.js';
+
+const czSignatureCore = commonJs.default || globalThis.czSignatureCore;
+
+export const {
+    VERSION,
+    DEFAULTS,
+    filterByDistance,
+    smoothStroke,
+    simplifyStroke,
+    calculateWidths,
+    calculateBoundingBox,
+    registerBrush,
+    getStrokeWidths,
+    getStrokeOutline,
+    getOutlineSegments,
+    generateSmoothSvgPathData,
+    drawStroke,
+    paintStroke,
+    GUIDE_DEFAULTS,
+    drawGuide,
+    guideToSVG,
+    getExportLayout,
+    toSVG,
+    drawSignature,
+    renderCanvas,
+    toPDFContent,
+    toPDF,
+    FORMAT_VERSION,
+    createEnvelope,
+    encodeCompact,
+    parseData,
+    fitStrokes,
+    getTimeline,
+    strokesAt,
+    toAnimatedSVG,
+    extractFeatures,
+    compare,
+    validateStrokes,
+    encodeISO19794,
+    decodeISO19794,
+    createStrokeId,
+    isSafeColor,
+    hitTestStroke,
+    findStrokeAt,
+    canonicalize,
+    createSignedPackage,
+    verifySignedPackage,
+} = czSignatureCore;
+
+export default czSignatureCore;
@@ -0,0 +1,264 @@
+/**
+ * czSignatureElement.js - v1.1
+ * The `<cz-signature>` custom element: a form-associated signature field wrapping czSignature.js.
+ *
+ * Copyright (c) 2025 Cyberzilla
+ * MIT License
+ */
+(function(global) {
+    'use strict';
+
+    const czSignature = global.czSignature || (typeof require === 'function' ? require('./czSignature.js') : null);
+    if (!czSignature) {
+        throw new Error('czSignatureElement requires czSignature.js to be loaded first.');
+    }
+    if (typeof HTMLElement === 'undefined' || !global.customElements) return;
+
+    // Attribute name -> [option name, type]. Each one is also exposed as a reflecting property.
+    const OPTION_ATTRIBUTES = {
+        'pen-color': ['penColor', 'string'],
+        'background-color': ['backgroundColor', 'string'],
+        'min-width': ['minWidth', 'number'],
+        'max-width': ['maxWidth', 'number'],
+        'brush': ['brush', 'string'],
+        'nib-angle': ['nibAngle', 'number'],
+        'pressure-support': ['pressureSupport', 'boolean'],
+        'smoothing-mode': ['smoothingMode', 'string'],
+        'tool': ['tool', 'string'],
+        'eraser-size': ['eraserSize', 'number'],
+        'pointer-types': ['pointerTypes', 'list'],
+        'palm-rejection': ['palmRejection', 'boolean'],
+        'resize-mode': ['resizeMode', 'string'],
+        'history-limit': ['historyLimit', 'number'],
+        'dpi': ['dpi', 'number'],
+        'trim-output': ['trimOutput', 'boolean'],
+        'output-pen-color': ['outputPenColor', 'string'],
+        'output-background-color': ['outputBackgroundColor', 'string'],
+    };
+    const VALUE_FORMATS = ['data', 'svg', 'png'];
+
+    const parseAttribute = (value, type) => {
+        if (value === null) return undefined;
+        switch (type) {
+            case 'number': {
+                const number = parseFloat(value);
+                return Number.isFinite(number) ? number : undefined;
+            }
+            case 'boolean':
+                return value !== 'false';
+            case 'list':
+                return value.trim() === '' ? null : value.trim().split(/[\s,]+/);
+            default:
+                return value;
+        }
+    };
+
+    const formatAttribute = (value, type) => {
+        if (value === null || value === undefined) return null;
+        if (type === 'boolean') return value ? '' : 'false';
+        if (type === 'list') return value.join(' ');
+        return String(value);
+    };
+
+    const template = `
+        <style>
+            :host { display: inline-block; position: relative; width: 400px; height: 200px; contain: content; }
+            :host([hidden]) { display: none; }
+            canvas { display: block; width: 100%; height: 100%; touch-action: none; }
+            canvas[data-inactive] { pointer-events: none; }
+            :host([disabled]) canvas { opacity: 0.6; }
+        </style>
+        <canvas part="canvas"></canvas>
+    `;
+
+    class czSignatureElement extends HTMLElement {
+        static formAssociated = true;
+
+        static get observedAttributes() {
+            return ['required', 'readonly', 'value-format', ...Object.keys(OPTION_ATTRIBUTES)];
+        }
+
+        #internals;
+        #canvas;
+        #pad = null;
+        #value = '';
+        #formDisabled = false;
+        #savedData = null;
+
+        constructor() {
+            super();
+            this.#internals = this.attachInternals();
+            const shadow = this.attachShadow({ mode: 'open' });
+            shadow.innerHTML = template;
+            this.#canvas = shadow.querySelector('canvas');
+        }
+
+        connectedCallback() {
+            if (this.#pad) return;
+            this.#pad = new czSignature(this.#canvas, this.#readOptions());
+            this.#pad.on('historyChange', this.#update);
+            this.#pad.on('validityChange', this.#update);
+            if (this.#savedData) this.#pad.fromData(this.#savedData);
+            this.#savedData = null;
+            this.#applyInteractivity();
+            this.#update();
+        }
+
+        // Moving the element in the DOM destroys and re-creates the pad; the signature is carried over.
+        disconnectedCallback() {
+            if (!this.#pad) return;
+            this.#savedData = this.#pad.isEmpty() ? null : this.#pad.toData();
+            this.#pad.destroy();
+            this.#pad = null;
+        }
+
+        attributeChangedCallback(name, oldValue, newValue) {
+            if (oldValue === newValue || !this.#pad) return;
+            if (name === 'readonly') {
+                this.#applyInteractivity();
+                this.#update();
+            } else if (name === 'required' || name === 'value-format') {
+                this.#update();
+            } else {
+                const [option, type] = OPTION_ATTRIBUTES[name];
+                const value = parseAttribute(newValue, type);
+                this.#pad.updateOptions({ [option]: value === undefined ? this.#pad._options[option] : value });
+            }
+        }
+
+        formResetCallback() {
+            if (!this.#pad) return;
+            this.#pad.clear();
+            this.#pad.clearHistory();
+        }
+
+        formDisabledCallback(disabled) {
+            this.#formDisabled = disabled;
+            this.#applyInteractivity();
+        }
+
+        formStateRestoreCallback(state) {
+            if (!this.#pad || typeof state !== 'string') return;
+            try {
+                this.#pad.fromData(state);
+            } catch (error) {
+                // A stale or foreign state is dropped rather than breaking the page.
+            }
+        }
+
+        get pad() { return this.#pad; }
+        get form() { return this.#internals.form; }
+        get type() { return this.localName; }
+        get validity() { return this.#internals.validity; }
+        get validationMessage() { return this.#internals.validationMessage; }
+        get willValidate() { return this.#internals.willValidate; }
+
+        get name() { return this.getAttribute('name'); }
+        set name(value) { this.setAttribute('name', value); }
+        get required() { return this.hasAttribute('required'); }
+        set required(value) { this.toggleAttribute('required', Boolean(value)); }
+        get disabled() { return this.hasAttribute('disabled'); }
+        set disabled(value) { this.toggleAttribute('disabled', Boolean(value)); }
+        get readOnly() { return this.hasAttribute('readonly'); }
+        set readOnly(value) { this.toggleAttribute('readonly', Boolean(value)); }
+
+        get valueFormat() {
+            const format = this.getAttribute('value-format');
+            return VALUE_FORMATS.includes(format) ? format : 'data';
+        }
+        set valueFormat(value) { this.setAttribute('value-format', value); }
+
+        // The submitted value. Assigning accepts anything `fromData()` does; an empty value clears the pad.
+        get value() { return this.#value; }
+        set value(data) {
+            if (!this.#pad) {
+                this.#savedData = data || null;
+                return;
+            }
+            if (!data) {
+                this.#pad.clear();
+            } else {
+                this.#pad.fromData(data);
+            }
+        }
+
+        isEmpty() { return this.#pad ? this.#pad.isEmpty() : !this.#savedData; }
+        clear() { if (this.#pad) this.#pad.clear(); }
+        checkValidity() { return this.#internals.checkValidity(); }
+        reportValidity() { return this.#internals.reportValidity(); }
+
+        #readOptions = () => {
+            const options = {};
+            Object.entries(OPTION_ATTRIBUTES).forEach(([attribute, [option, type]]) => {
+                const value = parseAttribute(this.getAttribute(attribute), type);
+                if (value !== undefined) options[option] = value;
+            });
+            return options;
+        }
+
+        #applyInteractivity = () => {
+            const inactive = this.#formDisabled || this.hasAttribute('disabled') || this.hasAttribute('readonly');
+            this.#canvas.toggleAttribute('data-inactive', inactive);
+        }
+
+        #serialize = () => {
+            switch (this.valueFormat) {
+                case 'svg':
+                    return this.#pad.toSVG();
+                case 'png':
+                    return this.#pad.toDataURL('image/png');
+                default:
+                    return JSON.stringify(this.#pad.toData());
+            }
+        }
+
+        #update = () => {
+            const pad = this.#pad;
+            if (!pad) return;
+            const empty = pad.isEmpty();
+            const value = empty ? '' : this.#serialize();
+            this.#internals.setFormValue(value, empty ? null : pad.toData({ compact: true }));
+
+            // Like a read-only input, a read-only signature is barred from "required" validation.
+            const { valid, failures } = pad.validate();
+            if (empty && this.required && !this.readOnly) {
+                this.#internals.setValidity({ valueMissing: true }, 'Please provide your signature.', this.#canvas);
+            } else if (!empty && !valid) {
+                this.#internals.setValidity({ customError: true }, `The signature does not meet the "${failures[0].rule}" requirement.`, this.#canvas);
+            } else {
+                this.#internals.setValidity({});
+            }
+
+            if (value !== this.#value) {
+                this.#value = value;
+                this.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+        }
+    }
+
+    Object.entries(OPTION_ATTRIBUTES).forEach(([attribute, [option, type]]) => {
+        Object.defineProperty(czSignatureElement.prototype, option, {
+            get() {
+                const value = parseAttribute(this.getAttribute(attribute), type);
+                return value !== undefined ? value : (this.pad ? this.pad.options[option] : undefined);
+            },
+            set(value) {
+                const formatted = formatAttribute(value, type);
+                if (formatted === null) this.removeAttribute(attribute);
+                else this.setAttribute(attribute, formatted);
+            },
+            configurable: true,
+        });
+    });
+
+    if (!global.customElements.get('cz-signature')) {
+        global.customElements.define('cz-signature', czSignatureElement);
+    }
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = czSignatureElement;
+    } else {
+        global.czSignatureElement = czSignatureElement;
+    }
+
+})(typeof globalThis !== 'undefined' ? globalThis : typeof window !== 'undefined' ? window : this);